@@ -0,0 +1,69 @@
+export type SerializeFormat = 'nquads' | 'trig' | 'turtle' | 'jsonld';
+
+/** An RDF-star quoted triple; `s`/`o` may nest further triples. */
+export interface QuotedTriple {
+  s: string | QuotedTriple;
+  p: string;
+  o: string | QuotedTriple;
+  d?: string;
+  l?: string;
+  st?: 'blank' | 'triple';
+  ot?: 'literal' | 'blank' | 'triple';
+}
+
+export interface PrefixConflict {
+  type: 'scheme' | 'namespace';
+  prefix?: string;
+  prefixes?: string[];
+  namespace: string;
+  message: string;
+}
+
+export interface FlatQuad {
+  s: string | QuotedTriple;
+  p: string;
+  o: string | QuotedTriple;
+  g: string;
+  at: string;
+  by: string;
+  d?: string;
+  l?: string;
+  st?: 'blank' | 'triple';
+  ot?: 'literal' | 'blank' | 'triple';
+}
+
+/** The DOM-free core of `<quad-form>` (`@mmmttoys/quad-form/builder`). */
+export class QuadBuilder {
+  constructor(options?: {
+    prefixes?: Record<string, string>,
+    curieMode?: 'strict' | 'lenient',
+    expandCuries?: boolean,
+    identity?: string | null
+  });
+  prefixes: Record<string, string>;
+  curieMode: 'strict' | 'lenient';
+  expandCuries: boolean;
+  identity: string | null;
+  readonly prefixConflicts: PrefixConflict[];
+  validateTerm(value: string, type: string): boolean;
+  isBoundCurie(curie: string): boolean;
+  expandQName(value: string): string;
+  contractUri(value: string): string;
+  mintBlankNode(): string;
+  build(terms: {
+    subject: string,
+    predicate: string,
+    object: string,
+    graph?: string,
+    datatype?: string,
+    language?: string,
+    literal?: boolean
+  }): FlatQuad;
+  quotedTripleError(text: string): string | null;
+  formatQuoted(triple: QuotedTriple): string;
+  serialize(format: SerializeFormat, quad: Partial<FlatQuad>, options?: {literal?: boolean}): string;
+  toNQuads(quad: Partial<FlatQuad>, options?: {literal?: boolean}): string;
+  toTriG(quad: Partial<FlatQuad>, options?: {literal?: boolean, graph?: boolean}): string;
+  toJsonLd(quad: Partial<FlatQuad>, options?: {literal?: boolean}): object;
+  toRdfJs(quad: Partial<FlatQuad>, factory: any, options?: {literal?: boolean}): any;
+}
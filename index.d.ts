@@ -1,25 +1,156 @@
+import type { SerializeFormat, QuotedTriple, PrefixConflict, FlatQuad } from './builder.js';
+import type { QuadStore } from './stores.js';
+
+export * from './builder.js';
+export * from './stores.js';
+
+/** A property a loaded vocabulary declares. */
+export interface VocabularyProperty {
+  value: string;
+  iri: string;
+  kind: 'Property' | 'ObjectProperty' | 'DatatypeProperty';
+  label: string | null;
+  comment: string | null;
+  domain: string | null;
+  range: string | null;
+}
+
+/** A completionProvider result; `description` is its tooltip. */
+export interface Completion {
+  value: string;
+  label?: string;
+  description?: string;
+}
+
+/** Async autocomplete: a page (`offset`, `limit`) of results, aborted through `signal` by newer input. */
+export type CompletionProvider = (
+  field: 'subject' | 'predicate' | 'object',
+  text: string,
+  options: {signal: AbortSignal, offset: number, limit: number}
+) => Promise<Array<string | Completion>>;
+
+export type QuadValidator = (quad: FlatQuad) =>
+  string | string[] | null | undefined | Promise<string | string[] | null | undefined>;
+
+export interface PendingQuad {
+  op: 'add' | 'delete';
+  quad: FlatQuad;
+  queuedAt: string;
+}
+
+/** A picker option; `group` puts it in an <optgroup>, `title` is its tooltip. */
+export interface PickerOption {
+  value: string;
+  label?: string;
+  title?: string;
+  group?: string;
+}
+
 export class QuadFormWC extends HTMLElement {
+  static readonly formAssociated: true;
+
   // Properties
   mmmServer: any;
+  store: QuadStore | null;
   prefixes: Record<string, string>;
+  storageKey: string | null;
+  curieMode: 'strict' | 'lenient';
+  readonly prefixConflicts: PrefixConflict[];
   currentIdentity: string | null;
   expandCuries: boolean;
+  expandQNames: boolean;
   defaultGraph: string;
+  mode: 'full' | 'tiny' | 'nano';
+  readOnly: boolean;
+  disabled: boolean;
+  hideGraph: boolean;
+  format: SerializeFormat | null;
+  canonicalizeLiterals: boolean;
+  defaultLanguage: string;
+  objectLanguage: string;
+  objectDatatype: string;
+  batchMode: boolean;
+  readonly stagedQuads: FlatQuad[];
+  valueFormat: 'nquads' | 'json';
+  name: string | null;
+  readonly form: HTMLFormElement | null;
+  readonly type: string;
+  readonly validity: ValidityState;
+  readonly validationMessage: string;
+  readonly willValidate: boolean;
+  readonly editingQuad: FlatQuad | null;
+  predicateOptions: Array<string | PickerOption> | null;
+  subjectOptions: Array<string | PickerOption> | null;
+  objectOptions: Array<string | PickerOption> | null;
+  completionProvider: CompletionProvider | null;
+  validators: QuadValidator[];
+  readonly submitState: 'idle' | 'pending' | 'succeeded' | 'failed' | 'queued';
+  outbox: boolean;
+  readonly pendingQuads: PendingQuad[];
+  readonly vocabularies: Array<{name: string, properties: VocabularyProperty[]}>;
   
   // Methods
   setField(name: string, value: string): void;
   getField(name: string): string;
-  populateFromEntity(entity: string, role: string, mode: string): void;
+  populateFromEntity(entity: string | FlatQuad | QuotedTriple, role: string, mode: string): void;
   clear(): void;
+  checkValidity(): boolean;
+  reportValidity(): boolean;
+  formResetCallback(): void;
+  formDisabledCallback(disabled: boolean): void;
+  formStateRestoreCallback(state: string): void;
+  fillFromStatement(text: string): boolean;
+  buildQuad(): FlatQuad;
+  serialize(format?: SerializeFormat, quad?: Partial<FlatQuad> | null, options?: {literal?: boolean}): string;
+  toNQuads(quad?: Partial<FlatQuad>, options?: {literal?: boolean}): string;
+  toTriG(quad?: Partial<FlatQuad>, options?: {literal?: boolean, graph?: boolean}): string;
+  editQuad(quad: Partial<FlatQuad>, options?: {literal?: boolean}): void;
+  cancelEdit(): void;
+  retract(): Promise<void>;
+  commitAll(): Promise<void>;
+  editStaged(index: number): void;
+  unstage(index: number): void;
+  clearStaged(): void;
+  loadVocabulary(text: string, options?: {format?: 'turtle' | 'jsonld', name?: string}): VocabularyProperty[];
+  unloadVocabulary(name: string): void;
+  loadShapes(text: string, options?: {format?: 'turtle' | 'jsonld'}): number;
+  clearShapes(): void;
+  importPrefixes(source: string | object): Record<string, string>;
+  exportPrefixes(format?: 'turtle' | 'sparql' | 'jsonld'): string;
+  retry(): Promise<boolean>;
+  replayOutbox(): Promise<boolean>;
+  addValidator(fn: QuadValidator): () => void;
+  removeValidator(fn: QuadValidator): void;
+  mintBlankNode(): string;
+  toJsonLd(quad?: Partial<FlatQuad>, options?: {literal?: boolean}): object;
   
   // Events
-  addEventListener(type: 'quad-submitted', listener: (e: CustomEvent<{s: string, p: string, o: string, g: string, at: string, by: string, d?: string, l?: string}>) => void): void;
+  addEventListener(type: 'quad-submitting', listener: (e: CustomEvent<{quad: FlatQuad, literal: boolean, action: 'submit' | 'stage' | 'replace'}>) => void): void;
+  addEventListener(type: 'quad-submitted', listener: (e: CustomEvent<FlatQuad & {format?: SerializeFormat, serialized?: string, originalObject?: string}>) => void): void;
+  addEventListener(type: 'quad-stored', listener: (e: CustomEvent<FlatQuad>) => void): void;
+  addEventListener(type: 'quad-error', listener: (e: CustomEvent<{error: unknown, quad?: FlatQuad, quads?: FlatQuad[], queued?: boolean}>) => void): void;
+  addEventListener(type: 'queue-changed', listener: (e: CustomEvent<{pendingQuads: PendingQuad[]}>) => void): void;
+  addEventListener(type: 'quads-submitted', listener: (e: CustomEvent<{quads: FlatQuad[], format?: SerializeFormat, serialized?: string}>) => void): void;
+  addEventListener(type: 'quad-replaced', listener: (e: CustomEvent<{old: FlatQuad, new: FlatQuad, originalObject?: string}>) => void): void;
+  addEventListener(type: 'quad-retracted', listener: (e: CustomEvent<FlatQuad>) => void): void;
   addEventListener(type: 'field-changed', listener: (e: CustomEvent<{field: string, value: string}>) => void): void;
-  addEventListener(type: 'validation-changed', listener: (e: CustomEvent<{valid: boolean, errors: string[]}>) => void): void;
+  addEventListener(type: 'prefixes-changed', listener: (e: CustomEvent<{prefixes: Record<string, string>}>) => void): void;
+  addEventListener(type: 'prefix-conflict', listener: (e: CustomEvent<{conflicts: PrefixConflict[]}>) => void): void;
+  addEventListener(type: 'validation-changed', listener: (e: CustomEvent<{valid: boolean, errors: string[], warnings: string[]}>) => void): void;
+}
+
+export class QuadPickerWC extends HTMLElement {
+  options: PickerOption[];
+  value: string;
+  disabled: boolean;
+  open(): void;
+  close(): void;
+  addEventListener(type: 'change', listener: (e: Event) => void): void;
 }
 
 declare global {
   interface HTMLElementTagNameMap {
     'quad-form': QuadFormWC;
+    'quad-picker': QuadPickerWC;
   }
 }
@@ -0,0 +1,1437 @@
+/**
+ * QuadBuilder - the DOM-free core of <quad-form>
+ *
+ * Everything about a quad that needs no document: the prefix table,
+ * term validation, CURIE expansion and contraction, XSD lexical spaces
+ * and canonical forms, FLAT quad assembly and its serializations, and
+ * the Turtle/JSON-LD readers behind them. QuadFormWC delegates to a
+ * QuadBuilder; Node scripts, workers and servers can use one directly:
+ *
+ *   import { QuadBuilder } from '@mmmttoys/quad-form/builder';
+ *   const builder = new QuadBuilder({ identity: 'iii:alice' });
+ *   builder.validateTerm('foaf:knows', 'qname');   // true
+ *   const quad = builder.build({ subject: 'ex:alice', predicate: 'foaf:name',
+ *     object: 'Alice', graph: 'mntl:publ/scratch', literal: true });
+ *   builder.serialize('nquads', quad);
+ */
+
+// XSD 1.1 lexical-space building blocks
+const TZ = '(Z|[+-]\\d{2}:\\d{2})?';
+const DATE = '-?([1-9]\\d{4,}|\\d{4})-\\d{2}-\\d{2}';
+const TIME = '\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?';
+const FLOAT = '([+-]?(\\d+(\\.\\d*)?|\\.\\d+)([eE][+-]?\\d+)?|[+-]?INF|NaN)';
+
+function daysInMonth(year, month) {
+  if (month === 2) {
+    const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    return leap ? 29 : 28;
+  }
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/** Range checks the patterns can't express: month/day, clock, zone. */
+function dateTimeInRange(value) {
+  const date = /^-?(\d+)-(\d{2})-(\d{2})/.exec(value);
+  if (date) {
+    const [year, month, day] = date.slice(1).map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) return false;
+  }
+  const time = /(?:^|T)(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(value);
+  if (time) {
+    const [h, m, sec] = time.slice(1).map(Number);
+    if (h === 24 ? (m !== 0 || sec !== 0) : h > 23) return false;
+    if (m > 59 || sec >= 60) return false;
+  }
+  const zone = /[+-](\d{2}):(\d{2})$/.exec(value);
+  if (zone) {
+    const [zh, zm] = zone.slice(1).map(Number);
+    if (zm > 59 || zh * 60 + zm > 14 * 60) return false;
+  }
+  return true;
+}
+
+/**
+ * Lexical spaces of the datatypes the object type menu offers:
+ * {pattern?, check?, hint}. A value is valid when it matches the
+ * pattern AND passes the check; `hint` completes the error message.
+ */
+const LEXICAL_SPACES = {
+  'xsd:integer': { pattern: /^[+-]?\d+$/,
+    hint: 'a whole number, e.g. 42 or -7' },
+  'xsd:decimal': { pattern: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+    hint: 'a decimal number without exponent, e.g. 3.14' },
+  'xsd:float': { pattern: new RegExp(`^${FLOAT}$`),
+    hint: 'a number such as 1.5, 1.5E3, INF, -INF or NaN' },
+  'xsd:double': { pattern: new RegExp(`^${FLOAT}$`),
+    hint: 'a number such as 2.71828, 6.02E23, INF, -INF or NaN' },
+  'xsd:boolean': { pattern: /^(true|false|1|0)$/,
+    hint: 'true, false, 1 or 0' },
+  'xsd:date': { pattern: new RegExp(`^${DATE}${TZ}$`), check: dateTimeInRange,
+    hint: 'a date YYYY-MM-DD, optionally with a time zone' },
+  'xsd:dateTime': { pattern: new RegExp(`^${DATE}T${TIME}${TZ}$`), check: dateTimeInRange,
+    hint: 'YYYY-MM-DDThh:mm:ss, optionally with fractional seconds and a time zone' },
+  'xsd:time': { pattern: new RegExp(`^${TIME}${TZ}$`), check: dateTimeInRange,
+    hint: 'hh:mm:ss, optionally with fractional seconds and a time zone' },
+  'xsd:gYear': { pattern: new RegExp(`^-?([1-9]\\d{4,}|\\d{4})${TZ}$`), check: dateTimeInRange,
+    hint: 'a year of at least four digits, e.g. 2025' },
+  'xsd:duration': {
+    pattern: /^-?P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/,
+    hint: 'an ISO 8601 duration, e.g. P1Y2M3D or PT1H30M' },
+  'xsd:anyURI': { pattern: /^[^\s<>"{}|\\^`]*$/,
+    check: (v) => !/%(?![0-9A-Fa-f]{2})/.test(v),
+    hint: 'a URI without spaces or bare % signs' },
+  'xsd:base64Binary': {
+    // groups of four; the padding's last data character carries no spare bits
+    check: (v) => {
+      const b = v.replace(/ /g, '');
+      return b.length % 4 === 0 &&
+        /^([A-Za-z0-9+/]{4})*([A-Za-z0-9+/]{2}[AEIMQUYcgkosw048]=|[A-Za-z0-9+/][AQgw]==)?$/.test(b);
+    },
+    hint: 'Base64 in groups of four characters with correct = padding' },
+  'xsd:hexBinary': { pattern: /^([0-9A-Fa-f]{2})*$/,
+    hint: 'an even number of hex digits' },
+  'rdf:XMLLiteral': {
+    check: (v) => {
+      if (typeof DOMParser === 'undefined') return true;
+      const doc = new DOMParser().parseFromString(`<x>${v}</x>`, 'application/xml');
+      return !doc.getElementsByTagName('parsererror').length;
+    },
+    hint: 'a well-formed XML fragment' },
+  'rdf:JSON': {
+    check: (v) => {
+      try { JSON.parse(v); return true; } catch { return false; }
+    },
+    hint: 'well-formed JSON' }
+  // xsd:string, rdf:HTML and mmmdt:markdown accept any text
+};
+
+/**
+ * Why `value` is not in the lexical space of `datatype`, or null when
+ * it is (or the datatype has no constraint we know of).
+ */
+function lexicalError(datatype, value) {
+  const space = LEXICAL_SPACES[datatype];
+  if (!space) return null;
+  const ok = (!space.pattern || space.pattern.test(value)) &&
+    (!space.check || space.check(value));
+  return ok ? null : `"${value}" is not a valid ${datatype}: expected ${space.hint}`;
+}
+
+/** Shortest float/double numeral in XSD 1.1 canonical form: 1.5E3 */
+function canonicalFloat(value, single) {
+  if (/^[+-]?INF$/.test(value)) return value.replace('+', '');
+  if (value === 'NaN') return value;
+  const n = single ? Math.fround(Number(value)) : Number(value);
+  // beyond the type's range the value is infinite
+  if (!Number.isFinite(n)) return n > 0 ? 'INF' : '-INF';
+  if (n === 0) return Object.is(n, -0) ? '-0.0E0' : '0.0E0';
+  let digits = n.toExponential();
+  if (single) {
+    // fewest digits that still round-trip through float32
+    for (let p = 1; p <= 9; p++) {
+      const candidate = n.toExponential(p - 1);
+      if (Math.fround(Number(candidate)) === n) { digits = candidate; break; }
+    }
+  }
+  let [mantissa, exponent] = digits.split('e');
+  if (!mantissa.includes('.')) mantissa += '.0';
+  return `${mantissa}E${Number(exponent)}`;
+}
+
+/** Trailing zeros off a fraction: "30.500" → "30.5", "30.0" → "30". */
+function trimFraction(numeral) {
+  return numeral.includes('.') ? numeral.replace(/\.?0+$/, '') : numeral;
+}
+
+/**
+ * Date/time values with a zone move to UTC ("Z"); 24:00:00 becomes
+ * 00:00:00 of the next day; fractional seconds lose trailing zeros.
+ * xsd:date and xsd:gYear keep their zone (only +00:00 reads as Z).
+ */
+function canonicalDateTime(datatype, value) {
+  if (datatype === 'xsd:date' || datatype === 'xsd:gYear') {
+    return value.replace(/[+-]00:00$/, 'Z');
+  }
+  const m = /^(?:(-?\d{4,})-(\d{2})-(\d{2})T)?(\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.exec(value);
+  if (!m) return value;
+  const [, year, month, day, hour, minute, second, fraction = '', zone] = m;
+  const offset = zone && zone !== 'Z'
+    ? (zone[0] === '-' ? -1 : 1) * (Number(zone.substring(1, 3)) * 60 + Number(zone.substring(4)))
+    : 0;
+  const d = new Date(0);
+  d.setUTCFullYear(year ? Number(year) : 1972, year ? Number(month) - 1 : 0, year ? Number(day) : 1);
+  d.setUTCHours(Number(hour), Number(minute) - offset, Number(second));
+  const pad = (n, w = 2) => String(Math.abs(n)).padStart(w, '0');
+  const frac = trimFraction('0' + fraction).substring(1);
+  const clock = `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}${frac}`;
+  const tz = zone ? 'Z' : '';
+  if (!year) return clock + tz;
+  const y = d.getUTCFullYear();
+  return `${y < 0 ? '-' : ''}${pad(y, 4)}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}T${clock}${tz}`;
+}
+
+/** Duration with months carried into years and seconds into days. */
+function canonicalDuration(value) {
+  const m = /^(-)?P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value);
+  if (!m) return value;
+  const [, sign, y = 0, mo = 0, d = 0, h = 0, mi = 0, sec = '0'] = m;
+  const months = Number(y) * 12 + Number(mo);
+  // whole seconds as integers; the fraction rides along as text
+  const [whole, fraction = ''] = sec.split('.');
+  let seconds = ((Number(d) * 24 + Number(h)) * 60 + Number(mi)) * 60 + Number(whole);
+  const days = Math.floor(seconds / 86400); seconds %= 86400;
+  const hours = Math.floor(seconds / 3600); seconds %= 3600;
+  const minutes = Math.floor(seconds / 60); seconds %= 60;
+  const frac = fraction.replace(/0+$/, '');
+  let out = '';
+  if (months >= 12) out += `${Math.floor(months / 12)}Y`;
+  if (months % 12) out += `${months % 12}M`;
+  if (days) out += `${days}D`;
+  let time = '';
+  if (hours) time += `${hours}H`;
+  if (minutes) time += `${minutes}M`;
+  if (seconds || frac) time += `${seconds}${frac ? '.' + frac : ''}S`;
+  if (time) out += `T${time}`;
+  if (!out) return 'PT0S';
+  return `${sign ?? ''}P${out}`;
+}
+
+/**
+ * The XSD 1.1 canonical lexical form of a literal — numerics, boolean,
+ * date/time and duration; other datatypes (and values outside the
+ * lexical space) come back unchanged.
+ */
+function canonicalLiteral(datatype, value) {
+  if (lexicalError(datatype, value)) return value;
+  switch (datatype) {
+    case 'xsd:integer': {
+      const digits = value.replace(/^[+-]?0*(?=\d)/, '');
+      return value.startsWith('-') && digits !== '0' ? `-${digits}` : digits;
+    }
+    case 'xsd:decimal': {
+      const negative = value.startsWith('-');
+      let [int, frac = ''] = value.replace(/^[+-]/, '').split('.');
+      int = int.replace(/^0+(?=\d)/, '') || '0';
+      frac = frac.replace(/0+$/, '');
+      const abs = frac ? `${int}.${frac}` : int;
+      return negative && abs !== '0' ? `-${abs}` : abs;
+    }
+    case 'xsd:float': return canonicalFloat(value, true);
+    case 'xsd:double': return canonicalFloat(value, false);
+    case 'xsd:boolean': return value === '1' ? 'true' : value === '0' ? 'false' : value;
+    case 'xsd:date':
+    case 'xsd:dateTime':
+    case 'xsd:time':
+    case 'xsd:gYear': return canonicalDateTime(datatype, value);
+    case 'xsd:duration': return canonicalDuration(value);
+    default: return value;
+  }
+}
+
+// Common RDF prefixes (hardcoded for initial implementation)
+const COMMON_PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  foaf: 'http://xmlns.com/foaf/0.1/',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  dcterms: 'http://purl.org/dc/terms/',
+  schema: 'http://schema.org/',
+  mntl: 'urn:mmm:mntl:',
+  iii: 'urn:mmm:iii:',
+  ex: 'http://example.org/',
+  wp: 'https://en.wikipedia.org/wiki/'
+};
+
+/**
+ * MMM canonical URN schemes (compact form without urn:mmm: prefix)
+ * These are complete identifiers, not CURIEs requiring prefix expansion
+ */
+const MMM_URN_SCHEMES = new Set([
+  'trpl',  // Triple entity: trpl:Base57Hash
+  'quad',  // Quad entity: quad:Base57Hash
+  'snip',  // Snippet entity: snip:Base57Hash
+  'atby',  // Attribution entity: atby:Base57Hash
+  'mntl',  // Mental space graph: mntl:publ/path or mntl:open/identity/path
+  'iii',   // Identity: iii:identifier
+  'time'   // Temporal reference: time:ISO8601
+]);
+
+/**
+ * Standard URI and URN schemes
+ * These are well-known identifiers that don't require prefix lookup
+ */
+const STANDARD_SCHEMES = new Set([
+  // Common URI schemes
+  'http', 'https', 'ftp', 'ftps', 'file', 'data',
+  'mailto', 'tel', 'sms', 'geo',
+  // Formal URN schemes
+  'urn', 'isbn', 'issn', 'doi', 'uuid', 'oid', 'lex'
+]);
+
+/**
+ * What's wrong with a prefix table, as {type, prefix(es), namespace,
+ * message}: a prefix named like an MMM or standard scheme, which
+ * expandQName never expands — unless it only aliases that scheme's
+ * own form (mntl: → urn:mmm:mntl:) — and namespaces bound to more
+ * than one prefix, where contraction takes the first.
+ */
+function prefixConflicts(table) {
+  const conflicts = [];
+  const byNamespace = new Map();
+  for (const [prefix, namespace] of Object.entries(table)) {
+    const mmm = MMM_URN_SCHEMES.has(prefix);
+    if (mmm && namespace !== `urn:mmm:${prefix}:` ||
+        STANDARD_SCHEMES.has(prefix) && namespace !== `${prefix}:`) {
+      conflicts.push({
+        type: 'scheme', prefix, namespace,
+        message: `${prefix}: is ${mmm ? 'an MMM URN' : 'a URI'} scheme — ` +
+          `${prefix}:… is read as a complete identifier, never expanded to <${namespace}…>`
+      });
+    }
+    if (!byNamespace.has(namespace)) byNamespace.set(namespace, []);
+    byNamespace.get(namespace).push(prefix);
+  }
+  for (const [namespace, prefixes] of byNamespace) {
+    if (prefixes.length < 2) continue;
+    const names = prefixes.map((p) => `${p}:`);
+    conflicts.push({
+      type: 'namespace', prefixes, namespace,
+      message: `${names.join(', ')} all map to <${namespace}> — contraction writes ${names[0]}`
+    });
+  }
+  return conflicts;
+}
+
+/** Serialization formats accepted by serialize() and the `format` option */
+const SERIALIZE_FORMATS = new Set(['nquads', 'trig', 'turtle', 'jsonld']);
+
+// An absolute IRI (or unexpanded CURIE): scheme, colon, no whitespace
+// and none of the characters N-Triples forbids inside <...>
+const IRI_LIKE = /^[A-Za-z][A-Za-z0-9+.-]*:[^\s<>"{}|\\^`]*$/;
+
+// A blank node label: _:b0, _:node-1 (the Turtle BLANK_NODE_LABEL)
+const BLANK_LABEL = /^_:[\p{L}\p{N}_]([\p{L}\p{N}_.-]*[\p{L}\p{N}_-])?$/u;
+
+function isBlankLabel(value) {
+  return BLANK_LABEL.test(value ?? '');
+}
+
+// Minted blank labels share a random per-page stem and one counter
+// across every form, so a label never names two nodes in a session
+const BLANK_SESSION = Math.random().toString(36).substring(2, 6);
+let blankNodeCount = 0;
+
+/**
+ * Is a FLAT quad term a quoted triple? Those are structured — {s, p,
+ * o, st?, ot?, d?, l?}, nesting allowed — never strings.
+ */
+function isQuotedTriple(value) {
+  return value !== null && typeof value === 'object';
+}
+
+// CURIE grammar. A strict CURIE is what Turtle can write as a
+// prefixed name: PN_PREFIX ':' PN_LOCAL, PN_LOCAL with its %xx and
+// backslash escapes. A lenient one is a W3C CURIE: NCName ':' and
+// any IRI reference that doesn't start with '//'.
+const CURIE_MODES = new Set(['strict', 'lenient']);
+const PN_PREFIX = /^([\p{L}]([\p{L}\p{N}_.-]*[\p{L}\p{N}_-])?)?$/u;
+const NC_NAME = /^([\p{L}_][\p{L}\p{N}_.-]*)?$/u;
+const PLX = String.raw`%[0-9A-Fa-f]{2}|\\[_~.\-!$&'()*+,;=/?#@%]`;
+const PN_LOCAL = new RegExp(String.raw`^((?:[\p{L}\p{N}_:]|${PLX})` +
+  String.raw`((?:[\p{L}\p{N}\p{M}_\-.:\u00B7]|${PLX})*(?:[\p{L}\p{N}\p{M}_\-:\u00B7]|${PLX}))?)?$`, 'u');
+const CURIE_REFERENCE = /^(?!\/\/)[^\s<>"{}|\\^`]*$/u;
+
+function isCurieLocal(local, mode) {
+  return mode === 'lenient' ? CURIE_REFERENCE.test(local) : PN_LOCAL.test(local);
+}
+
+function isCuriePrefix(prefix, mode) {
+  return mode === 'lenient' ? NC_NAME.test(prefix) : PN_PREFIX.test(prefix);
+}
+
+/** A PN_LOCAL's backslash escapes resolved: ex:a\/b → a/b. */
+function unescapeLocal(local) {
+  return local.replace(/\\([_~.\-!$&'()*+,;=/?#@%])/g, '$1');
+}
+
+/** The CURIE inside a safe CURIE `[prefix:reference]`, else null. */
+function unwrapSafeCurie(value) {
+  return /^\[([^\]]*)\]$/.exec(value)?.[1] ?? null;
+}
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+
+/**
+ * Is the object of a FLAT quad a literal? Built quads say so: `ot` is
+ * 'literal', 'blank' or 'triple' (absent for an IRI). A quad made by
+ * hand without `ot` is read from `d`/`l`, then the object's shape —
+ * a value that doesn't look like an IRI is a plain literal.
+ */
+function isLiteralObject(quad) {
+  if (quad.ot) return quad.ot === 'literal';
+  if (quad.d || quad.l) return true;
+  if (isBlankLabel(quad.o) || isQuotedTriple(quad.o)) return false;
+  return !IRI_LIKE.test(quad.o ?? '');
+}
+
+/** Escape an IRI for <...> per the N-Triples IRIREF production */
+function escapeIri(iri) {
+  return String(iri).replace(/[\u0000- <>"{}|^`\\]/g, (c) =>
+    '\\u' + c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0'));
+}
+
+/** Escape a literal's lexical form for "..." (N-Quads, Turtle, TriG) */
+function escapeLiteral(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+const XSD_NS = 'http://www.w3.org/2001/XMLSchema#';
+
+// String escapes shared by Turtle strings and (\u only) IRIREFs
+const STRING_ESCAPES = { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f', '"': '"', "'": "'", '\\': '\\' };
+
+function unescapeString(raw) {
+  return raw.replace(/\\(u[0-9A-Fa-f]{4}|U[0-9A-Fa-f]{8}|.)/g, (m, esc) => {
+    if (esc[0] === 'u' || esc[0] === 'U') {
+      return String.fromCodePoint(parseInt(esc.substring(1), 16));
+    }
+    if (!(esc in STRING_ESCAPES)) throw new Error(`Bad string escape: ${m}`);
+    return STRING_ESCAPES[esc];
+  });
+}
+
+// A Turtle `@prefix p: <ns> .` or SPARQL `PREFIX p: <ns>` declaration
+const PREFIX_DECLARATION =
+  /(?:@prefix|\bPREFIX)\s+([A-Za-z][\w.-]*|):\s*<((?:[^<>"{}|^`\\\s]|\\u[0-9A-Fa-f]{4}|\\U[0-9A-Fa-f]{8})*)>/gi;
+
+/**
+ * Split N-Triples / N-Quads / Turtle / TriG text into tokens:
+ * {t: 'iri'|'pname'|'blank'|'string'|'lang'|'number'|'boolean'|'a'|
+ * 'directive'|'punct'|'^^', v, ...}. Comments are dropped.
+ * @throws {Error} on text no RDF syntax could contain
+ */
+function tokenizeTurtle(text) {
+  const tokens = [];
+  let i = 0;
+  const rest = () => text.substring(i);
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '#') {
+      const nl = text.indexOf('\n', i);
+      i = nl === -1 ? text.length : nl + 1;
+      continue;
+    }
+    let m;
+    if (ch === '<') {
+      if (text.startsWith('<<', i)) { tokens.push({ t: 'punct', v: '<<' }); i += 2; continue; }
+      m = /^<([^<>"{}|^`\\\s]|\\u[0-9A-Fa-f]{4}|\\U[0-9A-Fa-f]{8})*>/.exec(rest());
+      if (!m) throw new Error(`Bad IRI at: ${rest().substring(0, 30)}`);
+      tokens.push({ t: 'iri', v: unescapeString(m[0].slice(1, -1)) });
+      i += m[0].length;
+      continue;
+    }
+    if (text.startsWith('>>', i)) { tokens.push({ t: 'punct', v: '>>' }); i += 2; continue; }
+    if (ch === '"' || ch === "'") {
+      const long = text.startsWith(ch.repeat(3), i);
+      const q = long ? ch.repeat(3) : ch;
+      let j = i + q.length;
+      let raw = '';
+      while (j < text.length && !text.startsWith(q, j)) {
+        if (text[j] === '\\') { raw += text.substring(j, j + 2); j += 2; continue; }
+        if (!long && (text[j] === '\n' || text[j] === '\r')) break;
+        raw += text[j++];
+      }
+      if (!text.startsWith(q, j)) throw new Error('Unterminated string');
+      tokens.push({ t: 'string', v: unescapeString(raw) });
+      i = j + q.length;
+      continue;
+    }
+    if (ch === '@') {
+      m = /^@([A-Za-z]+(-[A-Za-z0-9]+)*)/.exec(rest());
+      if (!m) throw new Error('Bad language tag');
+      const word = m[1];
+      if (word === 'prefix' || word === 'base') {
+        tokens.push({ t: 'directive', v: word });
+      } else {
+        tokens.push({ t: 'lang', v: word });
+      }
+      i += m[0].length;
+      continue;
+    }
+    if (text.startsWith('^^', i)) { tokens.push({ t: '^^' }); i += 2; continue; }
+    if (ch === '_' && text[i + 1] === ':') {
+      m = /^_:[\p{L}\p{N}_]([\p{L}\p{N}_.-]*[\p{L}\p{N}_-])?/u.exec(rest());
+      if (!m) throw new Error('Bad blank node label');
+      tokens.push({ t: 'blank', v: m[0] });
+      i += m[0].length;
+      continue;
+    }
+    m = /^[+-]?(\d+\.?\d*[eE][+-]?\d+|\.\d+[eE][+-]?\d+|\d*\.\d+|\d+)/.exec(rest());
+    if (m && !/^[\p{L}_:]/u.test(text.substring(i + m[0].length))) {
+      const lex = m[0];
+      const kind = /[eE]/.test(lex) ? 'double' : lex.includes('.') ? 'decimal' : 'integer';
+      tokens.push({ t: 'number', v: lex, datatype: XSD_NS + kind });
+      i += lex.length;
+      continue;
+    }
+    if ('.;,[](){}'.includes(ch)) { tokens.push({ t: 'punct', v: ch }); i++; continue; }
+    // prefixed name: PN_PREFIX? ':' PN_LOCAL? (local escapes resolved)
+    m = /^([\p{L}]([\p{L}\p{N}_.-]*[\p{L}\p{N}_-])?)?:/u.exec(rest());
+    if (m) {
+      let j = i + m[0].length;
+      let local = '';
+      while (j < text.length) {
+        const c = text[j];
+        if (c === '\\' && j + 1 < text.length) { local += text[j + 1]; j += 2; continue; }
+        if (c === '%' && /^%[0-9A-Fa-f]{2}/.test(text.substring(j))) { local += text.substring(j, j + 3); j += 3; continue; }
+        if (!/[\p{L}\p{N}_\-.:]/u.test(c)) break;
+        local += c;
+        j++;
+      }
+      // a trailing '.' ends the statement, not the name
+      while (local.endsWith('.') && text[j - 1] === '.') { local = local.slice(0, -1); j--; }
+      tokens.push({ t: 'pname', v: m[0] + local, prefix: m[1] ?? '', local });
+      i = j;
+      continue;
+    }
+    m = /^[A-Za-z]+/.exec(rest());
+    if (m) {
+      const word = m[0];
+      if (word === 'a') tokens.push({ t: 'a' });
+      else if (word === 'true' || word === 'false') tokens.push({ t: 'boolean', v: word });
+      else if (/^(prefix|base)$/i.test(word)) tokens.push({ t: 'directive', v: word.toLowerCase(), sparql: true });
+      else if (/^graph$/i.test(word)) tokens.push({ t: 'graph' });
+      else throw new Error(`Unexpected word: ${word}`);
+      i += word.length;
+      continue;
+    }
+    throw new Error(`Unexpected character: ${ch}`);
+  }
+  return tokens;
+}
+
+/**
+ * Parse ONE statement — an N-Triples/N-Quads line, or a Turtle/TriG
+ * triple optionally preceded by @prefix/PREFIX lines:
+ *
+ *   <http://ex.org/a> foaf:knows "Bob"@en <mntl:publ/x> .
+ *
+ * Terms come back as {type: 'iri'|'curie'|'blank'|'literal', value,
+ * datatype?, language?} or a quoted triple (see termReader); a CURIE
+ * keeps its text, with `iri` set when the pasted @prefix lines
+ * resolve it.
+ * @returns {{subject, predicate, object, graph, prefixes}}
+ * @throws {Error} when the text is not a single statement
+ */
+function parseStatement(text) {
+  const tokens = tokenizeTurtle(text);
+  const prefixes = {};
+  const reader = termReader(tokens, prefixes);
+  const next = () => reader.next();
+  const expectDot = (optional) => {
+    if (reader.peek()?.t === 'punct' && reader.peek().v === '.') next();
+    else if (!optional) throw new Error('Expected "."');
+  };
+
+  while (reader.peek()?.t === 'directive') {
+    const dir = next();
+    if (dir.v === 'prefix') {
+      const name = next();
+      const ns = next();
+      if (name?.t !== 'pname' || name.local || ns?.t !== 'iri') {
+        throw new Error('Bad prefix declaration');
+      }
+      prefixes[name.prefix] = ns.v;
+    } else if (next()?.t !== 'iri') {
+      throw new Error('Bad base declaration');
+    }
+    expectDot(dir.sparql);
+  }
+
+  const { subject, predicate, object } = reader.triple();
+  let graph = null;
+  if (reader.peek() && reader.peek().t !== 'punct') {
+    graph = reader.term(false);
+    if (graph.type === 'triple') throw new Error('Quoted triple graph');
+  }
+  expectDot(true);
+  if (reader.peek()) throw new Error('More than one statement');
+  return { subject, predicate, object, graph, prefixes };
+}
+
+/**
+ * Reads RDF terms off a token list (see tokenizeTurtle), resolving
+ * pnames against `prefixes`. A `<< s p o >>` is a quoted triple
+ * (RDF-star): {type: 'triple', subject, predicate, object}.
+ */
+function termReader(tokens, prefixes) {
+  let k = 0;
+  const reader = {
+    peek: () => tokens[k],
+    next: () => tokens[k++],
+
+    /** subject, predicate, object — as asserted or quoted */
+    triple() {
+      const subject = reader.term(false);
+      const predicate = reader.term(false);
+      if (predicate.type === 'blank' || predicate.type === 'triple') {
+        throw new Error('Predicate must be an IRI');
+      }
+      const object = reader.term(true);
+      return { subject, predicate, object };
+    },
+
+    term(literalAllowed) {
+      const tok = reader.next();
+      if (!tok) throw new Error('Incomplete statement');
+      switch (tok.t) {
+        case 'iri': return { type: 'iri', value: tok.v };
+        case 'a': return { type: 'iri', value: RDF_TYPE };
+        case 'blank': return { type: 'blank', value: tok.v };
+        case 'pname': {
+          const t = { type: 'curie', value: tok.v, prefix: tok.prefix, local: tok.local };
+          if (prefixes[tok.prefix] !== undefined) t.iri = prefixes[tok.prefix] + tok.local;
+          return t;
+        }
+        case 'punct': {
+          if (tok.v !== '<<') throw new Error(`Unexpected "${tok.v}"`);
+          const quoted = reader.triple();
+          if (reader.next()?.v !== '>>') throw new Error('Expected ">>"');
+          return { type: 'triple', ...quoted };
+        }
+        default: break;
+      }
+      if (!literalAllowed) throw new Error('Literal not allowed here');
+      if (tok.t === 'number') {
+        return { type: 'literal', value: tok.v, datatype: { type: 'iri', value: tok.datatype } };
+      }
+      if (tok.t === 'boolean') {
+        return { type: 'literal', value: tok.v, datatype: { type: 'iri', value: XSD_NS + 'boolean' } };
+      }
+      if (tok.t === 'string') {
+        const lit = { type: 'literal', value: tok.v };
+        if (reader.peek()?.t === 'lang') {
+          lit.language = reader.next().v;
+        } else if (reader.peek()?.t === '^^') {
+          reader.next();
+          const dt = reader.term(false);
+          if (dt.type !== 'iri' && dt.type !== 'curie') throw new Error('Bad datatype');
+          lit.datatype = dt;
+        }
+        return lit;
+      }
+      throw new Error('Expected an RDF term');
+    }
+  };
+  return reader;
+}
+
+/**
+ * Parse a lone `<< s p o >>` (as typed in a Triple field).
+ * @throws {Error} when the text is anything else
+ */
+function parseQuotedTriple(text) {
+  const reader = termReader(tokenizeTurtle(text), {});
+  const term = reader.term(false);
+  if (term.type !== 'triple' || reader.peek()) throw new Error('Not a quoted triple');
+  return term;
+}
+
+/** Does a field value read as a quoted triple? */
+function isQuotedText(value) {
+  return typeof value === 'string' && value.trimStart().startsWith('<<');
+}
+
+const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS_NS = 'http://www.w3.org/2000/01/rdf-schema#';
+const OWL_NS = 'http://www.w3.org/2002/07/owl#';
+
+/**
+ * Parse a whole Turtle document into triples with absolute IRIs:
+ * {s, p, o} where `s` is an IRI or `_:label` and `o` is {type:
+ * 'iri'|'blank'|'literal', value, language?, datatype?}. Handles
+ * @prefix/@base (and SPARQL style), `;`/`,` lists, `[ ... ]` and
+ * `( ... )` — enough for RDFS/OWL vocabularies.
+ * @returns {{triples: Array, prefixes: Object}}
+ * @throws {Error} on text that isn't Turtle
+ */
+function parseTurtleDocument(text) {
+  const reader = termReader(tokenizeTurtle(text), {});
+  const prefixes = {};
+  const triples = [];
+  let base = null;
+  let anon = 0;
+
+  const isPunct = (v) => reader.peek()?.t === 'punct' && reader.peek().v === v;
+  const expect = (v) => {
+    if (!isPunct(v)) throw new Error(`Expected "${v}"`);
+    reader.next();
+  };
+  const resolve = (iri) =>
+    base && !/^[a-z][\w+.-]*:/i.test(iri) ? new URL(iri, base).href : iri;
+  const iriOf = (t) => {
+    if (t.type === 'curie') {
+      if (prefixes[t.prefix] === undefined) throw new Error(`Unknown prefix "${t.prefix}:"`);
+      return prefixes[t.prefix] + t.local;
+    }
+    if (t.type !== 'iri') throw new Error('Expected an IRI');
+    return resolve(t.value);
+  };
+
+  // [ p o ; ... ] and ( o ... ) make fresh blank nodes
+  const nested = () => {
+    const node = `_:anon${++anon}`;
+    if (isPunct('[')) {
+      reader.next();
+      if (!isPunct(']')) predicateObjectList(node);
+      expect(']');
+      return node;
+    }
+    reader.next();  // '('
+    const items = [];
+    while (!isPunct(')')) items.push(object());
+    reader.next();
+    if (!items.length) return RDF_NS + 'nil';
+    items.forEach((item, i) => {
+      const cell = i ? `_:anon${++anon}` : node;
+      const rest = i + 1 < items.length ? { type: 'blank', value: `_:anon${anon + 1}` }
+        : { type: 'iri', value: RDF_NS + 'nil' };
+      triples.push({ s: cell, p: RDF_NS + 'first', o: item });
+      triples.push({ s: cell, p: RDF_NS + 'rest', o: rest });
+    });
+    return node;
+  };
+
+  const object = () => {
+    if (isPunct('[') || isPunct('(')) {
+      const node = nested();
+      return { type: node.startsWith('_:') ? 'blank' : 'iri', value: node };
+    }
+    const t = reader.term(true);
+    switch (t.type) {
+      case 'literal': {
+        const lit = { type: 'literal', value: t.value };
+        if (t.language) lit.language = t.language;
+        if (t.datatype) lit.datatype = iriOf(t.datatype);
+        return lit;
+      }
+      case 'blank': return { type: 'blank', value: t.value };
+      case 'triple': throw new Error('Quoted triples are not supported here');
+      default: return { type: 'iri', value: iriOf(t) };
+    }
+  };
+
+  const predicateObjectList = (subject) => {
+    do {
+      while (isPunct(';')) reader.next();
+      if (isPunct(']') || isPunct('.') || !reader.peek()) return;
+      const predicate = iriOf(reader.term(false));
+      do {
+        if (isPunct(',')) reader.next();
+        triples.push({ s: subject, p: predicate, o: object() });
+      } while (isPunct(','));
+    } while (isPunct(';'));
+  };
+
+  while (reader.peek()) {
+    const tok = reader.peek();
+    if (tok.t === 'directive') {
+      reader.next();
+      if (tok.v === 'prefix') {
+        const name = reader.next();
+        const ns = reader.next();
+        if (name?.t !== 'pname' || name.local || ns?.t !== 'iri') {
+          throw new Error('Bad prefix declaration');
+        }
+        prefixes[name.prefix] = resolve(ns.v);
+      } else {
+        const iri = reader.next();
+        if (iri?.t !== 'iri') throw new Error('Bad base declaration');
+        base = resolve(iri.v);
+      }
+      if (!tok.sparql) expect('.');
+      continue;
+    }
+    if (isPunct('[')) {
+      // [ ... ] . stands alone; [ ... ] p o . carries on
+      const node = nested();
+      if (!isPunct('.')) predicateObjectList(node);
+    } else {
+      const t = reader.term(false);
+      predicateObjectList(t.type === 'blank' ? t.value : iriOf(t));
+    }
+    expect('.');
+  }
+  return { triples, prefixes };
+}
+
+/**
+ * Parse a JSON-LD document into the same triples as
+ * parseTurtleDocument. Inline @context only (no network): prefixes,
+ * terms with @id/@type coercion, @vocab, @base, @language; nested
+ * nodes and @graph. Lists and remote contexts are skipped.
+ * @returns {{triples: Array, prefixes: Object}}
+ * @throws {Error} on text that isn't JSON
+ */
+function parseJsonLdDocument(text) {
+  const doc = JSON.parse(text);
+  const triples = [];
+  const prefixes = {};
+  let anon = 0;
+  const list = (v) => Array.isArray(v) ? v : v === undefined ? [] : [v];
+
+  const withContext = (outer, local) => {
+    // term IRIs are re-expanded below: copy the definitions
+    const terms = Object.fromEntries(Object.entries(outer.terms)
+      .map(([key, def]) => [key, { ...def, iri: undefined }]));
+    const ctx = { ...outer, terms };
+    for (const entry of list(local)) {
+      if (entry === null) Object.assign(ctx, { terms: {}, vocab: null, language: null });
+      if (!entry || typeof entry !== 'object') continue;  // remote: not fetched
+      for (const [key, def] of Object.entries(entry)) {
+        if (key === '@vocab') ctx.vocab = def;
+        else if (key === '@base') ctx.base = def;
+        else if (key === '@language') ctx.language = def;
+        else if (typeof def === 'string') ctx.terms[key] = { id: def };
+        else if (def && typeof def === 'object') {
+          ctx.terms[key] = { id: def['@id'] ?? key, type: def['@type'], language: def['@language'] };
+        }
+      }
+    }
+    // each term is expanded against the whole context
+    for (const [key, def] of Object.entries(ctx.terms)) {
+      def.iri = expand(ctx, def.id, true, key);
+      if (typeof def.id === 'string' && /[/#:]$/.test(def.iri)) prefixes[key] = def.iri;
+    }
+    return ctx;
+  };
+
+  const expand = (ctx, value, vocab, self = null) => {
+    if (typeof value !== 'string' || value.startsWith('_:')) return value;
+    const def = value !== self ? ctx.terms[value] : null;
+    if (def && vocab) return def.iri ?? expand(ctx, def.id, true, value);
+    const colon = value.indexOf(':');
+    if (colon > 0 && !value.startsWith('//', colon + 1)) {
+      const prefix = value.substring(0, colon);
+      const pdef = prefix !== self ? ctx.terms[prefix] : null;
+      if (pdef) return (pdef.iri ?? expand(ctx, pdef.id, true, prefix)) + value.substring(colon + 1);
+    }
+    if (colon > 0) return value;
+    if (vocab && ctx.vocab) return ctx.vocab + value;
+    if (ctx.base) return new URL(value, ctx.base).href;
+    return value;
+  };
+
+  const objectOf = (value, def, ctx) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') {
+      if ('@value' in value) {
+        const lit = { type: 'literal', value: String(value['@value']) };
+        if (value['@language']) lit.language = value['@language'];
+        else if (value['@type']) lit.datatype = expand(ctx, value['@type'], true);
+        return lit;
+      }
+      if ('@list' in value || '@set' in value) return null;
+      const id = node(value, ctx);
+      return { type: id.startsWith('_:') ? 'blank' : 'iri', value: id };
+    }
+    if (typeof value === 'string' && (def?.type === '@id' || def?.type === '@vocab')) {
+      const id = expand(ctx, value, def.type === '@vocab');
+      return { type: id.startsWith('_:') ? 'blank' : 'iri', value: id };
+    }
+    if (typeof value === 'string') {
+      const lit = { type: 'literal', value };
+      const language = def?.language !== undefined ? def.language : ctx.language;
+      if (def?.type && !def.type.startsWith('@')) lit.datatype = expand(ctx, def.type, true);
+      else if (language) lit.language = language;
+      return lit;
+    }
+    const kind = typeof value === 'boolean' ? 'boolean'
+      : Number.isInteger(value) ? 'integer' : 'double';
+    return { type: 'literal', value: String(value), datatype: XSD_NS + kind };
+  };
+
+  const node = (obj, outer) => {
+    const ctx = obj['@context'] !== undefined ? withContext(outer, obj['@context']) : outer;
+    const id = obj['@id'] !== undefined ? expand(ctx, obj['@id'], false) : `_:anon${++anon}`;
+    for (const [key, value] of Object.entries(obj)) {
+      if (key === '@graph') {
+        for (const child of list(value)) node(child, ctx);
+      } else if (key === '@type') {
+        for (const type of list(value)) {
+          triples.push({ s: id, p: RDF_TYPE, o: { type: 'iri', value: expand(ctx, type, true) } });
+        }
+      } else if (!key.startsWith('@')) {
+        const p = expand(ctx, key, true);
+        if (!/:/.test(p)) continue;  // a key no context maps: not data
+        for (const v of list(value)) {
+          const o = objectOf(v, ctx.terms[key], ctx);
+          if (o) triples.push({ s: id, p, o });
+        }
+      }
+    }
+    return id;
+  };
+
+  const top = { terms: {}, vocab: null, base: null, language: null };
+  for (const obj of list(doc)) node(obj, top);
+  return { triples, prefixes };
+}
+
+// BCP 47 (RFC 5646) langtag grammar, matched case-insensitively
+const BCP47_LANGTAG =
+  '(?:[a-z]{2,3}(?:-[a-z]{3}){0,3}|[a-z]{4}|[a-z]{5,8})' +  // language(-extlang)
+  '(?:-[a-z]{4})?' +                                        // script
+  '(?:-(?:[a-z]{2}|\\d{3}))?' +                             // region
+  '(?:-(?:[a-z\\d]{5,8}|\\d[a-z\\d]{3}))*' +                // variants
+  '(?:-[\\da-wyz](?:-[a-z\\d]{2,8})+)*' +                   // extensions
+  '(?:-x(?:-[a-z\\d]{1,8})+)?';                             // private use
+const BCP47_GRANDFATHERED = [
+  'en-GB-oed', 'i-ami', 'i-bnn', 'i-default', 'i-enochian', 'i-hak',
+  'i-klingon', 'i-lux', 'i-mingo', 'i-navajo', 'i-pwn', 'i-tao', 'i-tay',
+  'i-tsu', 'sgn-BE-FR', 'sgn-BE-NL', 'sgn-CH-DE', 'art-lojban',
+  'cel-gaulish', 'no-bok', 'no-nyn', 'zh-guoyu', 'zh-hakka', 'zh-min',
+  'zh-min-nan', 'zh-xiang'
+];
+const BCP47 = new RegExp(
+  `^(?:${BCP47_LANGTAG}|x(?:-[a-z\\d]{1,8})+|${BCP47_GRANDFATHERED.join('|')})$`, 'i');
+
+function isWellFormedLanguageTag(tag) {
+  return BCP47.test(tag);
+}
+
+/**
+ * RFC 5646 §2.1.1 case conventions: language lowercase, script
+ * Titlecase, region UPPERCASE — extension and private-use subtags
+ * (after a singleton) all lowercase. en-gb → en-GB, ZH-HANT-tw →
+ * zh-Hant-TW.
+ */
+function normalizeLanguageTag(tag) {
+  let afterSingleton = false;
+  return tag.toLowerCase().split('-').map((sub, i) => {
+    if (sub.length === 1) afterSingleton = true;
+    if (i === 0 || afterSingleton) return sub;
+    if (sub.length === 2) return sub.toUpperCase();
+    if (sub.length === 4 && /^[a-z]/.test(sub)) return sub[0].toUpperCase() + sub.substring(1);
+    return sub;
+  }).join('-');
+}
+
+
+class QuadBuilder {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.prefixes] - Prefixes merged over
+   *   COMMON_PREFIXES; the `prefixes` property is the whole table
+   * @param {string} [options.curieMode] - 'strict' (default) or 'lenient'
+   * @param {boolean} [options.expandCuries] - Expand CURIEs in built
+   *   quads (default true)
+   * @param {string} [options.identity] - Who built quads are `by`
+   *   (default 'anonymous')
+   */
+  constructor({ prefixes = {}, curieMode = 'strict',
+    expandCuries = true, identity = null } = {}) {
+    this.prefixes = { ...COMMON_PREFIXES, ...prefixes };
+    this.curieMode = CURIE_MODES.has(curieMode) ? curieMode : 'strict';
+    this.expandCuries = expandCuries;
+    this.identity = identity;
+  }
+
+  /** The prefix table's conflicts (see prefixConflicts). */
+  get prefixConflicts() {
+    return prefixConflicts(this.prefixes);
+  }
+
+  /**
+   * Validate a term based on its type
+   *
+   * Supports three kinds of identifiers:
+   * 1. URNs - scheme:namespace-specific-string (e.g., trpl:abc123, mntl:publ/scratch)
+   * 2. URIs - scheme:hier-part (e.g., http://example.org/path)
+   * 3. CURIEs - prefix:localName where prefix is defined (e.g., foaf:knows)
+   *
+   * @param {string} value - Term to validate
+   * @param {string} type - Expected type ('uri', 'qname', 'blank',
+   *   'triple', 'string', or a datatype such as 'xsd:integer' — see
+   *   LEXICAL_SPACES)
+   * @returns {boolean} True if valid
+   */
+  validateTerm(value, type) {
+    if (!value || value.trim() === '') {
+      return false;
+    }
+
+    if (type === 'blank') {
+      return isBlankLabel(value);
+    }
+
+    if (type === 'triple') {
+      return !this.quotedTripleError(value);
+    }
+    
+    if (type === 'uri' || type === 'qname') {
+      // A safe CURIE [prefix:reference] can only be a CURIE
+      const safe = unwrapSafeCurie(value);
+      if (safe !== null) return this.isBoundCurie(safe);
+
+      const colonIndex = value.indexOf(':');
+      
+      // Must contain a colon to be a valid identifier; only a CURIE
+      // in the default prefix (:local) starts with one
+      if (colonIndex < 0) {
+        return false;
+      }
+      if (colonIndex === 0) {
+        return this.isBoundCurie(value);
+      }
+      
+      const scheme = value.substring(0, colonIndex).toLowerCase();
+      const nss = value.substring(colonIndex + 1); // Namespace Specific String or localName
+      
+      // Empty NSS/localName is invalid
+      if (nss.length === 0) {
+        return false;
+      }
+      
+      // MMM URN schemes - compact form (without urn:mmm: prefix)
+      // These are complete identifiers used internally in MMM
+      if (MMM_URN_SCHEMES.has(scheme)) {
+        return true;
+      }
+      
+      // Standard URI/URN schemes - recognized by IETF/W3C
+      if (STANDARD_SCHEMES.has(scheme)) {
+        return true;
+      }
+      
+      // Not a known URN/URI scheme, so it must be a CURIE — whose
+      // prefix, unlike a scheme, is case-sensitive
+      return this.isBoundCurie(value);
+      
+    } else if (type === 'string') {
+      // Plain string literals - always valid if non-empty
+      return true;
+      
+    } else {
+      // Datatyped literals (xsd:integer, xsd:date, etc.) - the value
+      // must be in the datatype's lexical space
+      return !lexicalError(type, value);
+    }
+  }
+
+  /**
+   * Is `curie` (prefix:reference, prefix possibly empty) in the prefix
+   * table and well-formed under curieMode? An empty reference isn't.
+   */
+  isBoundCurie(curie) {
+    const colon = curie.indexOf(':');
+    if (colon < 0) return false;
+    const prefix = curie.substring(0, colon);
+    const local = curie.substring(colon + 1);
+    return Object.hasOwn(this.prefixes, prefix) && local.length > 0 &&
+      isCurieLocal(local, this.curieMode);
+  }
+
+  /** A fresh blank node label, unique for this page session. */
+  mintBlankNode() {
+    return `_:b${BLANK_SESSION}_${++blankNodeCount}`;
+  }
+
+  /**
+   * Build the FLAT quad {s, p, o, g, at, by, d?, l?, st?, ot?} from
+   * its terms — what quad-submitted carries and mmmServer.addQuad
+   * receives. CURIEs are expanded when expandCuries is on; `ot` marks
+   * a literal, blank or quoted-triple object.
+   *
+   * @param {Object} terms
+   * @param {string} terms.subject - IRI, CURIE, `_:label` or `<< s p o >>`
+   * @param {string} terms.predicate
+   * @param {string} terms.object - As subject, or a literal's lexical form
+   * @param {string} [terms.graph]
+   * @param {string} [terms.datatype] - The literal object's datatype CURIE
+   * @param {string} [terms.language] - The literal object's language tag
+   * @param {boolean} [terms.literal] - Object is a literal (default:
+   *   inferred from datatype/language and the object's shape)
+   * @returns {Object}
+   */
+  build({ subject, predicate, object, graph = '', datatype = '', language = '',
+    literal = isLiteralObject({ o: object, d: datatype, l: language }) }) {
+    const term = (v) => this.expandCuries ? this.expandQName(v) : v;
+    const quad = {
+      s: term(subject),
+      p: term(predicate),
+      o: literal ? object : term(object),  // a literal is never CURIE-expanded
+      g: term(graph),
+      at: new Date().toISOString(),
+      by: this.identity || 'anonymous'
+    };
+
+    // Literals and blank nodes are marked so hosts (and the
+    // serializers) don't take them for IRIs
+    if (literal) quad.ot = 'literal';
+    if (isBlankLabel(quad.s)) quad.st = 'blank';
+    if (!literal && isBlankLabel(quad.o)) quad.ot = 'blank';
+
+    // and quoted triples go structured (see quotedFromTerm)
+    if (isQuotedText(quad.s)) {
+      quad.s = this.quotedFromText(quad.s);
+      quad.st = 'triple';
+    }
+    if (!literal && isQuotedText(quad.o)) {
+      quad.o = this.quotedFromText(quad.o);
+      quad.ot = 'triple';
+    }
+
+    // Add datatype if present and not xsd:string
+    if (datatype && datatype !== 'xsd:string') {
+      quad.d = datatype;
+    }
+
+    // Add language if present (an IRI object has none)
+    if (language && literal) {
+      quad.l = language;
+    }
+
+    return quad;
+  }
+
+  /** A `<< s p o >>` term's text as a structured quoted triple. */
+  quotedFromText(text) {
+    try {
+      return this.quotedFromTerm(parseQuotedTriple(text));
+    } catch {
+      return text;  // quotedTripleError flags it
+    }
+  }
+
+  /**
+   * A parsed quoted-triple term (see termReader) as the structured
+   * {s, p, o, st?, ot?, d?, l?} that FLAT quads carry — IRIs treated
+   * as build treats the terms, literal/blank/triple terms marked.
+   */
+  quotedFromTerm({ subject, predicate, object }) {
+    const iri = (t) => {
+      const v = t.iri ?? t.value;
+      return this.expandCuries ? this.expandQName(v) : v;
+    };
+    const node = (t) => t.type === 'triple' ? this.quotedFromTerm(t) : iri(t);
+    const triple = { s: node(subject), p: iri(predicate), o: node(object) };
+    if (subject.type === 'blank' || subject.type === 'triple') triple.st = subject.type;
+    if (object.type === 'blank' || object.type === 'triple') triple.ot = object.type;
+    if (object.type === 'literal') {
+      triple.o = object.value;
+      triple.ot = 'literal';
+      const datatype = object.datatype &&
+        this.contractUri(this.expandQName(object.datatype.iri ?? object.datatype.value));
+      if (object.language) triple.l = object.language;
+      else if (datatype && datatype !== 'xsd:string') triple.d = datatype;
+    }
+    return triple;
+  }
+
+  /**
+   * Why a `<< s p o >>` text isn't a valid quoted triple — its syntax,
+   * then each inner term (prefixes known, literals in their lexical
+   * space) — or null.
+   */
+  quotedTripleError(text) {
+    let parsed;
+    try {
+      parsed = parseQuotedTriple(text);
+    } catch (error) {
+      return `expected << s p o >> (${error.message})`;
+    }
+    const check = (t) => {
+      switch (t.type) {
+        case 'triple':
+          return check(t.subject) ?? check(t.predicate) ?? check(t.object);
+        case 'curie':
+          return this.validateTerm(t.value, 'qname') ? null
+            : `unknown prefix in "${t.value}"`;
+        case 'literal': {
+          if (t.language && !isWellFormedLanguageTag(t.language)) {
+            return `language tag "${t.language}" is not a well-formed BCP 47 tag`;
+          }
+          const datatype = t.datatype && this.contractUri(this.expandQName(t.datatype.value));
+          return datatype ? lexicalError(datatype, t.value) : null;
+        }
+        default:
+          return null;
+      }
+    };
+    return check(parsed);
+  }
+
+  /** A structured quoted triple as `<< s p o >>` text. */
+  formatQuoted(triple) {
+    const t = this.turtleTerms(triple, isLiteralObject(triple));
+    return `<< ${t.s} ${t.p} ${t.o} >>`;
+  }
+
+  /**
+   * Render a quad as RDF text.
+   *
+   * @param {string} format - 'nquads' | 'trig' | 'turtle' | 'jsonld'
+   * @param {Object} quad - Flat quad
+   * @param {Object} [options]
+   * @param {boolean} [options.literal] - Force the object to be read as
+   *   a literal (true) or IRI (false). Without it the quad's `ot` says
+   *   (see isLiteralObject).
+   * @returns {string}
+   */
+  serialize(format, quad, { literal } = {}) {
+    const isLiteral = literal ?? isLiteralObject(quad);
+    switch (format) {
+      case 'nquads': return this.toNQuads(quad, { literal: isLiteral });
+      case 'trig': return this.toTriG(quad, { literal: isLiteral });
+      case 'turtle': return this.toTriG(quad, { literal: isLiteral, graph: false });
+      case 'jsonld':
+        return JSON.stringify(this.toJsonLd(quad, { literal: isLiteral }), null, 2);
+      default:
+        throw new Error(`Unknown serialization format: ${format}`);
+    }
+  }
+
+  /** One N-Quads statement (N-Triples when the quad has no graph). */
+  toNQuads(quad, { literal = isLiteralObject(quad) } = {}) {
+    const iri = (v) => isBlankLabel(v) ? v : `<${escapeIri(this.expandQName(v))}>`;
+    const node = (v) => isQuotedTriple(v)
+      ? `<< ${triple(v, isLiteralObject(v))} >>`
+      : iri(v);
+    const triple = (q, isLiteral) => {
+      let object;
+      if (isLiteral) {
+        object = `"${escapeLiteral(q.o)}"`;
+        if (q.l) object += `@${q.l}`;
+        else if (q.d) object += `^^${iri(q.d)}`;
+      } else {
+        object = node(q.o);
+      }
+      return `${node(q.s)} ${iri(q.p)} ${object}`;
+    };
+    const graph = quad.g ? ` ${iri(quad.g)}` : '';
+    return `${triple(quad, literal)}${graph} .\n`;
+  }
+
+  /**
+   * TriG: @prefix lines for the prefixes actually used, then the
+   * statement inside its graph block. With `graph: false` it is plain
+   * Turtle and the graph is dropped.
+   */
+  toTriG(quad, { literal = isLiteralObject(quad), graph = true } = {}) {
+    const used = new Map();
+    const t = this.turtleTerms(quad, literal, used);
+    const triple = `${t.s} ${t.p} ${t.o} .`;
+    const body = graph && t.g
+      ? `${t.g} {\n  ${triple}\n}\n`
+      : `${triple}\n`;
+
+    const header = [...used].map(([prefix, ns]) =>
+      `@prefix ${prefix}: <${escapeIri(ns)}> .`).join('\n');
+    return header ? `${header}\n\n${body}` : body;
+  }
+
+  /**
+   * The quad's terms in Turtle syntax — CURIEs where a prefix fits,
+   * <iri> otherwise, `a` for rdf:type, `<< s p o >>` for a quoted
+   * triple. Prefixes used land in `used`.
+   */
+  turtleTerms(quad, literal, used = new Map()) {
+    const term = (v) => {
+      if (isBlankLabel(v)) return v;
+      if (isQuotedTriple(v)) {
+        const t = this.turtleTerms(v, isLiteralObject(v), used);
+        return `<< ${t.s} ${t.p} ${t.o} >>`;
+      }
+      const full = this.expandQName(v);
+      const curie = this.contractUri(full);
+      const colon = curie.indexOf(':');
+      const prefix = curie.substring(0, colon);
+      if (curie !== full && Object.hasOwn(this.prefixes, prefix) &&
+          PN_PREFIX.test(prefix) && PN_LOCAL.test(curie.substring(colon + 1))) {
+        used.set(prefix, this.prefixes[prefix]);
+        return curie;
+      }
+      return `<${escapeIri(full)}>`;
+    };
+
+    let o;
+    if (literal) {
+      o = `"${escapeLiteral(quad.o)}"`;
+      if (quad.l) o += `@${quad.l}`;
+      else if (quad.d) o += `^^${term(quad.d)}`;
+    } else {
+      o = term(quad.o);
+    }
+    return {
+      s: term(quad.s),
+      p: this.expandQName(quad.p) === RDF_TYPE ? 'a' : term(quad.p),
+      o,
+      g: quad.g ? term(quad.g) : ''
+    };
+  }
+
+  /**
+   * Compacted JSON-LD (as an object): an @context of the prefixes
+   * used, the subject node, and — with a graph — a named-graph
+   * wrapper. rdf:type with an IRI object becomes @type.
+   */
+  toJsonLd(quad, { literal = isLiteralObject(quad) } = {}) {
+    const graph = quad.g ? this.expandQName(quad.g) : '';
+
+    // A prefix named like the scheme of an IRI we emit would make that
+    // IRI read as a compact IRI — such prefixes may not compact anything
+    const iris = [graph];
+    const collect = (q, isLiteral) => {
+      for (const v of [q.s, q.p, q.d, isLiteral ? '' : q.o]) {
+        if (isQuotedTriple(v)) collect(v, isLiteralObject(v));
+        else if (v) iris.push(this.expandQName(v));
+      }
+    };
+    collect(quad, literal);
+    const schemes = new Set(iris.filter(Boolean)
+      .map((i) => i.substring(0, i.indexOf(':'))));
+    const context = {};
+    const compact = (iri) => {
+      const curie = this.contractUri(iri);
+      const prefix = curie.substring(0, curie.indexOf(':'));
+      // JSON-LD has no default prefix: ':local' stays an IRI
+      if (curie === iri || !prefix || schemes.has(prefix) ||
+          this.prefixes[prefix] === undefined) {
+        return iri;
+      }
+      context[prefix] = this.prefixes[prefix];
+      return curie;
+    };
+
+    // JSON-LD-star: a quoted triple is an embedded node in @id
+    const id = (v) => isQuotedTriple(v)
+      ? nodeOf(v, isLiteralObject(v))
+      : compact(this.expandQName(v));
+    const nodeOf = (q, isLiteral) => {
+      const p = this.expandQName(q.p);
+      const d = q.d ? this.expandQName(q.d) : '';
+      const node = { '@id': id(q.s) };
+      if (!isLiteral && p === RDF_TYPE && !isQuotedTriple(q.o)) {
+        node['@type'] = id(q.o);
+      } else if (!isLiteral) {
+        node[compact(p)] = { '@id': id(q.o) };
+      } else if (q.l) {
+        node[compact(p)] = { '@value': q.o, '@language': q.l };
+      } else if (d) {
+        node[compact(p)] = { '@value': q.o, '@type': compact(d) };
+      } else {
+        node[compact(p)] = q.o;
+      }
+      return node;
+    };
+
+    const node = nodeOf(quad, literal);
+    const doc = graph
+      ? { '@id': compact(graph), '@graph': [node] }
+      : node;
+    return Object.keys(context).length
+      ? { '@context': context, ...doc }
+      : doc;
+  }
+
+  /**
+   * The quad as an RDF/JS Quad built with `factory` (a DataFactory):
+   * NamedNodes for IRIs and CURIEs, BlankNodes for `_:` labels,
+   * Literals with their language or datatype, a nested Quad for a
+   * quoted triple and the DefaultGraph when there is no graph.
+   */
+  toRdfJs(quad, factory, { literal = isLiteralObject(quad) } = {}) {
+    const iri = (v) => isBlankLabel(v)
+      ? factory.blankNode(v.substring(2))
+      : factory.namedNode(this.expandQName(v));
+    const node = (v) => isQuotedTriple(v)
+      ? factory.quad(...triple(v, isLiteralObject(v)), factory.defaultGraph())
+      : iri(v);
+    const triple = (q, isLiteral) => {
+      const object = !isLiteral ? node(q.o)
+        : factory.literal(q.o, q.l || (q.d ? iri(q.d) : undefined));
+      return [node(q.s), iri(q.p), object];
+    };
+    const graph = quad.g ? iri(quad.g) : factory.defaultGraph();
+    return factory.quad(...triple(quad, literal), graph);
+  }
+
+  /**
+   * A CURIE's IRI: `prefix:local`, `:local` in the default prefix, or
+   * a safe CURIE `[prefix:local]`, with PN_LOCAL's backslash escapes
+   * resolved. Anything else — an IRI, an MMM URN, an unbound prefix —
+   * comes back as is.
+   */
+  expandQName(value) {
+    if (!value) {
+      return value;
+    }
+    const safe = unwrapSafeCurie(value);
+    const curie = safe ?? value;
+    if (safe === null && value.includes('://')) {
+      return value;
+    }
+    
+    const colonIndex = curie.indexOf(':');
+    if (colonIndex === -1) {
+      return value;
+    }
+    
+    const prefix = curie.substring(0, colonIndex);
+    
+    // CRITICAL: MMM URN schemes are complete identifiers, not CURIEs!
+    // (bracketed, it's a CURIE whatever the prefix looks like)
+    if (safe === null && (MMM_URN_SCHEMES.has(prefix) || STANDARD_SCHEMES.has(prefix))) {
+      return value;
+    }
+    
+    if (Object.hasOwn(this.prefixes, prefix)) {
+      return this.prefixes[prefix] + unescapeLocal(curie.substring(colonIndex + 1));
+    }
+    
+    return value;
+  }
+
+  /**
+   * A full IRI as a CURIE under the LONGEST matching namespace whose
+   * local part is well-formed under curieMode — so `ex:Thing` over a
+   * shorter `ex0:` match, and no CURIE at all over one that wouldn't
+   * read back. Returns the IRI when none fits.
+   */
+  contractUri(value) {
+    const mode = this.curieMode;
+    let best = null;
+    for (const [prefix, expansion] of Object.entries(this.prefixes)) {
+      if (!expansion || !value.startsWith(expansion) ||
+          (best && expansion.length <= best.expansion.length)) continue;
+      // a prefix named like a scheme wouldn't expand back
+      if (MMM_URN_SCHEMES.has(prefix) || STANDARD_SCHEMES.has(prefix)) continue;
+      if (!isCuriePrefix(prefix, mode) ||
+          !isCurieLocal(value.substring(expansion.length), mode)) continue;
+      best = { prefix, expansion };
+    }
+    return best ? `${best.prefix}:${value.substring(best.expansion.length)}` : value;
+  }
+}
+
+export {
+  QuadBuilder,
+  COMMON_PREFIXES, MMM_URN_SCHEMES, STANDARD_SCHEMES, SERIALIZE_FORMATS,
+  CURIE_MODES, LEXICAL_SPACES, PREFIX_DECLARATION,
+  RDF_NS, RDFS_NS, OWL_NS, XSD_NS, RDF_TYPE,
+  lexicalError, canonicalLiteral, prefixConflicts,
+  isBlankLabel, isQuotedTriple, isQuotedText, isLiteralObject,
+  isWellFormedLanguageTag, normalizeLanguageTag,
+  escapeIri, escapeLiteral, unescapeString,
+  tokenizeTurtle, parseStatement, parseQuotedTriple,
+  parseTurtleDocument, parseJsonLdDocument
+};
@@ -13,8 +13,24 @@
  * - Tab or Blur triggers submit
  * - Auto-clear and refocus after submit
  * - One-way transition (cannot return to form)
+ *
+ * Parsing, validation, CURIE handling and quad assembly are delegated
+ * to the DOM-free QuadBuilder (quad-builder.js); storage goes through
+ * an adapter (quad-stores.js) or mmmServer.
  */
 
+import {
+  QuadBuilder,
+  COMMON_PREFIXES, SERIALIZE_FORMATS, CURIE_MODES, LEXICAL_SPACES, PREFIX_DECLARATION,
+  RDF_NS, RDFS_NS, OWL_NS, XSD_NS, RDF_TYPE,
+  lexicalError, canonicalLiteral,
+  isBlankLabel, isQuotedTriple, isQuotedText, isLiteralObject,
+  isWellFormedLanguageTag, normalizeLanguageTag,
+  escapeIri, unescapeString,
+  parseStatement, parseTurtleDocument, parseJsonLdDocument
+} from './quad-builder.js';
+import { DataFactory, DatasetStore, SparqlUpdateStore, NQuadsStore } from './quad-stores.js';
+
 // XSD to HTML5 input type mapping
 const XSD_TO_HTML5 = {
   'xsd:date': 'date',
@@ -22,27 +38,20 @@ const XSD_TO_HTML5 = {
   'xsd:dateTime': 'datetime-local',
   'xsd:integer': 'number',
   'xsd:decimal': 'number',
-  'xsd:float': 'number',
-  'xsd:double': 'number',
+  // xsd:float/xsd:double stay text: a number input can't hold INF/NaN
   'xsd:boolean': 'checkbox',
   'xsd:anyURI': 'url'
 };
 
-// Common RDF prefixes (hardcoded for initial implementation)
-const COMMON_PREFIXES = {
-  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
-  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
-  owl: 'http://www.w3.org/2002/07/owl#',
-  xsd: 'http://www.w3.org/2001/XMLSchema#',
-  foaf: 'http://xmlns.com/foaf/0.1/',
-  dc: 'http://purl.org/dc/elements/1.1/',
-  dcterms: 'http://purl.org/dc/terms/',
-  schema: 'http://schema.org/',
-  mntl: 'urn:mmm:mntl:',
-  iii: 'urn:mmm:iii:',
-  ex: 'http://example.org/',
-  wp: 'https://en.wikipedia.org/wiki/'
-};
+/**
+ * HTML5 date/time controls drop zero seconds ("10:30"); XSD requires
+ * them. Complete the value so the control's output is a valid literal.
+ */
+function completeHtml5Lexical(datatype, value) {
+  if (datatype === 'xsd:dateTime' && /T\d{2}:\d{2}$/.test(value)) return value + ':00';
+  if (datatype === 'xsd:time' && /^\d{2}:\d{2}$/.test(value)) return value + ':00';
+  return value;
+}
 
 // Hardcoded properties for predicate picker
 const COMMON_PROPERTIES = [
@@ -59,6 +68,21 @@ const COMMON_PROPERTIES = [
   'schema:description'
 ];
 
+// rdfs:range of the COMMON_PROPERTIES — loaded vocabularies add more
+// (see loadVocabulary); an object of the wrong kind draws a warning
+const COMMON_RANGES = {
+  'rdf:type': 'rdfs:Class',
+  'rdfs:label': 'rdfs:Literal',
+  'rdfs:comment': 'rdfs:Literal',
+  'owl:sameAs': 'owl:Thing',
+  'foaf:name': 'rdfs:Literal',
+  'foaf:knows': 'foaf:Person',
+  'dc:title': 'rdfs:Literal',
+  'dcterms:created': 'xsd:dateTime',
+  'schema:name': 'schema:Text',
+  'schema:description': 'schema:Text'
+};
+
 // Mental space types with their templates
 const MENTAL_SPACE_TYPES = [
   { value: 'mntl:whim', label: 'mntl:whim/{identity}', disabled: true,
@@ -77,36 +101,718 @@ const MENTAL_SPACE_TYPES = [
     description: 'mntl:syst - System infrastructure (immutable)' }
 ];
 
+// Ranges that name a literal without being an XSD/rdf: datatype; null
+// is any literal at all
+const LITERAL_RANGES = {
+  [RDFS_NS + 'Literal']: null,
+  [RDF_NS + 'langString']: 'xsd:string',
+  [RDF_NS + 'PlainLiteral']: 'xsd:string',
+  'http://schema.org/Text': 'xsd:string',
+  'http://schema.org/Boolean': 'xsd:boolean',
+  'http://schema.org/Date': 'xsd:date',
+  'http://schema.org/DateTime': 'xsd:dateTime',
+  'http://schema.org/Time': 'xsd:time',
+  'http://schema.org/Number': 'xsd:decimal',
+  'http://schema.org/Integer': 'xsd:integer'
+};
+
+// Literal datatypes an object of another datatype still satisfies
+const DATATYPE_SUPERTYPES = {
+  'xsd:integer': ['xsd:decimal']
+};
+
+const PROPERTY_TYPES = new Set([
+  RDF_NS + 'Property', OWL_NS + 'ObjectProperty', OWL_NS + 'DatatypeProperty'
+]);
+const TITLE_PREDICATES = [
+  RDFS_NS + 'label', 'http://purl.org/dc/terms/title', 'http://purl.org/dc/elements/1.1/title'
+];
+
 /**
- * MMM canonical URN schemes (compact form without urn:mmm: prefix)
- * These are complete identifiers, not CURIEs requiring prefix expansion
+ * The text among `triples` for `predicate` that best suits `language`:
+ * its exact tag, then its primary language, then English, then
+ * untagged, then whatever there is.
  */
-const MMM_URN_SCHEMES = new Set([
-  'trpl',  // Triple entity: trpl:Base57Hash
-  'quad',  // Quad entity: quad:Base57Hash
-  'snip',  // Snippet entity: snip:Base57Hash
-  'atby',  // Attribution entity: atby:Base57Hash
-  'mntl',  // Mental space graph: mntl:publ/path or mntl:open/identity/path
-  'iii',   // Identity: iii:identifier
-  'time'   // Temporal reference: time:ISO8601
-]);
+function pickText(triples, predicates, language = '') {
+  const texts = triples.filter((t) => predicates.includes(t.p) && t.o.type === 'literal')
+    .map((t) => t.o);
+  const primary = (tag) => (tag ?? '').toLowerCase().split('-')[0];
+  const lang = language.toLowerCase();
+  const hit = texts.find((o) => lang && (o.language ?? '').toLowerCase() === lang) ??
+    texts.find((o) => lang && primary(o.language) === primary(lang)) ??
+    texts.find((o) => primary(o.language) === 'en') ??
+    texts.find((o) => !o.language) ??
+    texts[0];
+  return hit?.value ?? null;
+}
 
 /**
- * Standard URI and URN schemes
- * These are well-known identifiers that don't require prefix lookup
+ * The properties a vocabulary declares (rdf:Property,
+ * owl:ObjectProperty, owl:DatatypeProperty) with their label,
+ * comment, domain and range, plus the owl:Ontology's title.
  */
-const STANDARD_SCHEMES = new Set([
-  // Common URI schemes
-  'http', 'https', 'ftp', 'ftps', 'file', 'data',
-  'mailto', 'tel', 'sms', 'geo',
-  // Formal URN schemes
-  'urn', 'isbn', 'issn', 'doi', 'uuid', 'oid', 'lex'
-]);
+function vocabularyProperties(triples, language) {
+  const bySubject = new Map();
+  for (const t of triples) {
+    if (!bySubject.has(t.s)) bySubject.set(t.s, []);
+    bySubject.get(t.s).push(t);
+  }
+  const iriOf = (ts, p) => ts.find((t) => t.p === p && t.o.type === 'iri')?.o.value ?? null;
+  let title = null;
+  const properties = [];
+  for (const [s, ts] of bySubject) {
+    const types = ts.filter((t) => t.p === RDF_TYPE).map((t) => t.o.value);
+    if (types.includes(OWL_NS + 'Ontology')) title ??= pickText(ts, TITLE_PREDICATES, language);
+    const kind = types.find((t) => PROPERTY_TYPES.has(t));
+    if (!kind || s.startsWith('_:')) continue;
+    properties.push({
+      iri: s,
+      kind: kind.substring(kind.search(/[^#/]*$/)),
+      label: pickText(ts, [RDFS_NS + 'label'], language),
+      comment: pickText(ts, [RDFS_NS + 'comment'], language),
+      domain: iriOf(ts, RDFS_NS + 'domain'),
+      range: iriOf(ts, RDFS_NS + 'range')
+    });
+  }
+  return { title, properties };
+}
+
+const SH_NS = 'http://www.w3.org/ns/shacl#';
+
+/** The members of the RDF list (rdf:first/rest) starting at `head`. */
+function readList(bySubject, head) {
+  const items = [];
+  const seen = new Set();
+  while (head && head !== RDF_NS + 'nil' && !seen.has(head)) {
+    seen.add(head);
+    const cell = bySubject.get(head) ?? [];
+    const first = cell.find((t) => t.p === RDF_NS + 'first');
+    if (first) items.push(first.o);
+    head = cell.find((t) => t.p === RDF_NS + 'rest')?.o.value;
+  }
+  return items;
+}
+
+/**
+ * The property shapes of a SHACL shapes graph that constrain a value
+ * directly: sh:path a plain IRI, with sh:datatype, sh:nodeKind,
+ * sh:pattern (+ sh:flags), sh:in, sh:minLength, sh:maxLength and
+ * sh:languageIn — plus sh:severity, sh:message and the node shape's
+ * sh:targetNode list. Deactivated shapes are left out.
+ */
+function shaclPropertyShapes(triples, language) {
+  const bySubject = new Map();
+  for (const t of triples) {
+    if (!bySubject.has(t.s)) bySubject.set(t.s, []);
+    bySubject.get(t.s).push(t);
+  }
+  const objects = (ts, p) => ts.filter((t) => t.p === SH_NS + p).map((t) => t.o);
+  const one = (ts, p) => objects(ts, p)[0];
+  const deactivated = (ts) => one(ts, 'deactivated')?.value === 'true';
+
+  const shapes = [];
+  for (const [node, ts] of bySubject) {
+    if (deactivated(ts)) continue;
+    const targetNodes = objects(ts, 'targetNode').map((o) => o.value);
+    for (const ref of objects(ts, 'property')) {
+      const ps = bySubject.get(ref.value) ?? [];
+      const path = one(ps, 'path');
+      if (path?.type !== 'iri' || deactivated(ps)) continue;
+      const number = (p) => {
+        const o = one(ps, p);
+        return o ? Number(o.value) : null;
+      };
+      const shape = {
+        node,
+        path: path.value,
+        targetNodes,
+        severity: one(ps, 'severity')?.value ?? SH_NS + 'Violation',
+        message: pickText(ps, [SH_NS + 'message'], language),
+        datatype: one(ps, 'datatype')?.value ?? null,
+        nodeKind: one(ps, 'nodeKind')?.value ?? null,
+        pattern: one(ps, 'pattern')?.value ?? null,
+        flags: one(ps, 'flags')?.value ?? '',
+        minLength: number('minLength'),
+        maxLength: number('maxLength'),
+        in: one(ps, 'in') ? readList(bySubject, one(ps, 'in').value) : null,
+        languageIn: one(ps, 'languageIn')
+          ? readList(bySubject, one(ps, 'languageIn').value).map((o) => o.value)
+          : null
+      };
+      shapes.push(shape);
+    }
+  }
+  return shapes;
+}
+
+// sh:nodeKind values: the term types each admits, and how to say it
+const NODE_KINDS = {
+  IRI: [['iri'], 'an IRI'],
+  BlankNode: [['blank'], 'a blank node'],
+  Literal: [['literal'], 'a literal'],
+  BlankNodeOrIRI: [['blank', 'iri'], 'an IRI or blank node'],
+  BlankNodeOrLiteral: [['blank', 'literal'], 'a blank node or literal'],
+  IRIOrLiteral: [['iri', 'literal'], 'an IRI or literal']
+};
+
+/**
+ * Check one value — {type: 'iri'|'blank'|'literal'|'triple', value,
+ * datatype?, language?} with full IRIs — against a property shape
+ * (see shaclPropertyShapes). @returns {Array<{constraint, message}>}
+ */
+function shaclViolations(shape, term, curie = (iri) => iri) {
+  const violations = [];
+  const fail = (constraint, message) => violations.push({ constraint, message });
+  const literal = term.type === 'literal';
+  const datatype = literal
+    ? (term.language ? RDF_NS + 'langString' : term.datatype ?? XSD_NS + 'string')
+    : null;
+
+  if (shape.datatype && datatype !== shape.datatype) {
+    fail('datatype', `expects ${curie(shape.datatype)}`);
+  }
+  if (shape.nodeKind) {
+    const [kinds, label] = NODE_KINDS[shape.nodeKind.substring(SH_NS.length)] ?? [[], null];
+    if (label && !kinds.includes(term.type)) fail('nodeKind', `expects ${label}`);
+  }
+  if (term.type !== 'blank' && term.type !== 'triple') {
+    const text = term.value;
+    if (shape.minLength !== null && text.length < shape.minLength) {
+      fail('minLength', `must be at least ${shape.minLength} characters`);
+    }
+    if (shape.maxLength !== null && text.length > shape.maxLength) {
+      fail('maxLength', `must be at most ${shape.maxLength} characters`);
+    }
+    if (shape.pattern !== null) {
+      let regex = null;
+      try {
+        regex = new RegExp(shape.pattern, shape.flags.replace(/[^ims]/g, ''));
+      } catch {
+        // a pattern JavaScript can't compile constrains nothing here
+      }
+      if (regex && !regex.test(text)) fail('pattern', `must match /${shape.pattern}/`);
+    }
+  }
+  if (shape.in) {
+    const same = (o) => o.type === term.type && o.value === term.value &&
+      (o.type !== 'literal' || (o.language ?? '') === (term.language ?? '') &&
+        (o.datatype ?? XSD_NS + 'string') === (datatype === RDF_NS + 'langString' ? XSD_NS + 'string' : datatype));
+    if (!shape.in.some(same)) {
+      const list = shape.in.map((o) => o.type === 'literal' ? `"${o.value}"` : curie(o.value));
+      fail('in', `must be one of ${list.join(', ')}`);
+    }
+  }
+  if (shape.languageIn) {
+    const tag = (term.language ?? '').toLowerCase();
+    const ok = literal && tag && shape.languageIn.some((range) => {
+      range = range.toLowerCase();
+      return range === '*' || tag === range || tag.startsWith(range + '-');
+    });
+    if (!ok) fail('languageIn', `needs a language tag in ${shape.languageIn.join(', ')}`);
+  }
+  return violations;
+}
+
+// Offered in the language input's suggestion list
+const COMMON_LANGUAGE_TAGS = [
+  'en', 'en-US', 'en-GB', 'fr', 'fr-CA', 'de', 'de-CH', 'es', 'es-419',
+  'it', 'pt', 'pt-BR', 'nl', 'sv', 'da', 'nb', 'fi', 'pl', 'cs', 'ru',
+  'uk', 'el', 'tr', 'ar', 'he', 'fa', 'hi', 'bn', 'ja', 'ko', 'zh',
+  'zh-Hans', 'zh-Hant', 'zh-Hant-TW', 'sr-Latn', 'sr-Cyrl', 'la', 'und'
+];
+
+// How many suggestions a completion listbox shows at most
+const COMPLETION_LIMIT = 50;
+
+// completionProvider: quiet time after a keystroke before it's asked,
+// and how many results a TINY arrow-key page fetches
+const COMPLETION_DEBOUNCE_MS = 150;
+const COMPLETION_PAGE_SIZE = 20;
+
+/**
+ * How well `text` matches an option's value or label, whichever
+ * matches better: a prefix beats a substring beats a fuzzy (in-order
+ * subsequence) match; a tighter, earlier match on a shorter string
+ * beats a looser one. @returns {{score, field, indices}|null} —
+ * `indices` are the matched character positions, for highlighting.
+ */
+function matchCompletion(option, text) {
+  const query = text.toLowerCase();
+  let best = null;
+  for (const field of ['value', 'label']) {
+    const target = String(option[field] ?? '').toLowerCase();
+    if (!target) continue;
+    let tier, start, span, indices;
+    const at = target.indexOf(query);
+    if (at !== -1) {
+      tier = at === 0 ? 3 : 2;
+      start = at;
+      span = query.length;
+      indices = Array.from(query, (_, i) => at + i);
+    } else {
+      indices = [];
+      let from = 0;
+      for (const ch of query) {
+        const i = target.indexOf(ch, from);
+        if (i === -1) break;
+        indices.push(i);
+        from = i + 1;
+      }
+      if (indices.length < query.length) continue;
+      tier = 1;
+      start = indices[0];
+      span = indices[indices.length - 1] - start + 1;
+    }
+    const score = tier * 1e6 - (span - query.length) * 1e3 - start * 10 - target.length / 100;
+    if (!best || score > best.score) best = { score, field, indices };
+  }
+  return best;
+}
+
+/**
+ * The options matching `text`, best first (see matchCompletion): each
+ * {option, field, indices}. Empty text lists the options as they come.
+ */
+function rankCompletions(options, text, limit = COMPLETION_LIMIT) {
+  if (!text) return options.slice(0, limit).map((option) => ({ option, field: 'value', indices: [] }));
+  return options
+    .map((option) => ({ option, ...matchCompletion(option, text) }))
+    .filter((m) => m.score !== undefined)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/** `text` as HTML with the characters at `indices` in <mark>s. */
+function highlightMatch(text, indices) {
+  const marked = new Set(indices);
+  let html = '';
+  let open = false;
+  Array.from(String(text)).forEach((ch, i) => {
+    if (marked.has(i) !== open) {
+      html += open ? '</mark>' : '<mark>';
+      open = !open;
+    }
+    html += QuadFormWC._escOpt(ch);
+  });
+  return open ? html + '</mark>' : html;
+}
+
+// The graph a fresh form (and Clear) starts from
+const DEFAULT_GRAPH = 'mntl:publ/scratch';
+
+// Layouts the `mode` attribute selects
+const MODES = new Set(['full', 'tiny', 'nano']);
+
+// What a form-associated quad-form submits under its name
+const FORM_VALUE_FORMATS = new Set(['nquads', 'json']);
+
+// The outbox (see `outbox`): one IndexedDB store shared by every
+// form, each form's operations filed under its storage-key
+const OUTBOX_DB = 'quad-form-outbox';
+const OUTBOX_STORE = 'operations';
+const OUTBOX_DEFAULT_QUEUE = 'default';
+
+// Outbox replay backoff: doubling from the first delay up to the cap
+const OUTBOX_RETRY_MS = 1000;
+const OUTBOX_RETRY_MAX_MS = 60000;
+
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let outboxDb = null;
+
+/** The outbox database, opened (and created) once per page. */
+function openOutboxDb() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  outboxDb ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true })
+        .createIndex('queue', 'queue');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((err) => {
+    outboxDb = null;
+    throw err;
+  });
+  return outboxDb;
+}
+
+async function outboxStore(mode) {
+  const db = await openOutboxDb();
+  return db.transaction(OUTBOX_STORE, mode).objectStore(OUTBOX_STORE);
+}
+
+// Without Web Locks, queue locks are held per page: name -> the tail
+// of the tasks waiting for it
+const pageLocks = new Map();
+
+/**
+ * Run `task` holding the lock on an outbox queue, so one form at a
+ * time replays it — across tabs where Web Locks exist, across the
+ * page's forms otherwise. Resolves to what `task` does.
+ */
+function withQueueLock(queue, task) {
+  const name = `${OUTBOX_DB}:${queue}`;
+  if (globalThis.navigator?.locks?.request) {
+    return globalThis.navigator.locks.request(name, () => task());
+  }
+  const run = (pageLocks.get(name) ?? Promise.resolve()).then(() => task());
+  const tail = run.catch(() => {});
+  pageLocks.set(name, tail);
+  tail.then(() => {
+    if (pageLocks.get(name) === tail) pageLocks.delete(name);
+  });
+  return run;
+}
+
+/**
+ * `quad` with `ot` agreeing with `literal` — a copy when it has to
+ * change: a literal is marked, an IRI loses the literal's marker and
+ * datatype/language.
+ */
+function markObject(quad, literal) {
+  if (literal === isLiteralObject(quad)) return quad;
+  const marked = { ...quad };
+  if (literal) {
+    marked.ot = 'literal';
+  } else {
+    delete marked.d;
+    delete marked.l;
+    if (marked.ot === 'literal') delete marked.ot;
+    if (isBlankLabel(marked.o)) marked.ot = 'blank';
+  }
+  return marked;
+}
+
+/**
+ * Apply storage operations — {op: 'add'|'delete', quads, batch?} —
+ * to a store (mmmServer or adapter) in order: a batch of adds in one
+ * addQuads call when it has one, anything else quad by quad.
+ * `applied(operation, quads)` is called as quads go through — a batch
+ * all at once, otherwise one by one — so a failure part-way tells
+ * exactly what is stored (see unapplied).
+ */
+async function applyOperations(server, operations, applied = () => {}) {
+  for (const operation of operations) {
+    const { op, quads, batch } = operation;
+    if (op === 'delete') {
+      for (const quad of quads) {
+        await server.deleteQuad(quad);
+        applied(operation, [quad]);
+      }
+    } else if (batch && typeof server.addQuads === 'function') {
+      await server.addQuads(quads);
+      applied(operation, quads);
+    } else {
+      for (const quad of quads) {
+        await server.addQuad(quad);
+        applied(operation, [quad]);
+      }
+    }
+  }
+}
+
+/** `operations` less the quads `done` (operation → its quads through) holds. */
+function unapplied(operations, done) {
+  return operations
+    .map((operation) => ({
+      ...operation,
+      quads: operation.quads.filter((quad) => !done.get(operation)?.includes(quad))
+    }))
+    .filter((operation) => operation.quads.length);
+}
+
+// <quad-picker> rows: fixed height, so position = index × height
+const PICKER_ROW_HEIGHT = 24;
+const PICKER_VISIBLE_ROWS = 10;
+const PICKER_OVERSCAN = 4;
+
+/**
+ * <quad-picker>: the searchable, virtualized stand-in for a <select>
+ * behind QuadFormWC's subject/predicate/object pickers. Only the rows
+ * in view are in the DOM, so 20k options open as fast as 20. Like a
+ * select it has `value` and `disabled` and fires `change`; unlike
+ * one, swapping `options` keeps the value even when it isn't among
+ * them. Options are {value, label, title?, group?}; grouped options
+ * list under a header per group, in order of first appearance.
+ */
+class QuadPickerWC extends HTMLElement {
+  static get observedAttributes() {
+    return ['placeholder', 'disabled'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open', delegatesFocus: true });
+    this._options = [];
+    this._byValue = new Map();   // value -> option
+    this._rows = [];             // what the filter leaves: {group} | {option}
+    this._active = -1;           // row under the keyboard highlight
+    this._value = '';
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host { display: block; position: relative; cursor: pointer; }
+        :host([disabled]) { opacity: 0.6; cursor: default; }
+        .current {
+          all: unset;
+          box-sizing: border-box;
+          display: flex;
+          width: 100%;
+          cursor: inherit;
+        }
+        .current .text { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .current .caret { color: #888; margin-left: 4px; }
+        .current.placeholder .text { color: #888; }
+        .popup {
+          position: absolute; top: 100%; left: 0; right: 0; z-index: 6;
+          min-width: 16em; margin-top: 2px;
+          background: white; border: 1px solid #ccc; border-radius: 3px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+          cursor: default;
+        }
+        .popup[hidden] { display: none; }
+        .filter {
+          box-sizing: border-box; width: 100%;
+          padding: 4px 8px; border: none; border-bottom: 1px solid #eee;
+          font: inherit; outline: none;
+        }
+        .viewport { max-height: ${PICKER_VISIBLE_ROWS * PICKER_ROW_HEIGHT}px; overflow-y: auto; }
+        .spacer { position: relative; }
+        .row {
+          position: absolute; left: 0; right: 0;
+          box-sizing: border-box;
+          height: ${PICKER_ROW_HEIGHT}px; line-height: ${PICKER_ROW_HEIGHT}px;
+          padding: 0 8px;
+          white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+        }
+        .group { font-family: sans-serif; font-size: 11px; font-weight: bold; color: #666; }
+        [role="option"] { cursor: pointer; padding-left: 16px; }
+        [role="option"]:hover { background: #f0f4f8; }
+        [role="option"].active { background: #e3f2fd; }
+        [role="option"][aria-selected="true"] { font-weight: bold; }
+        .empty { padding: 4px 8px; color: #888; }
+      </style>
+      <button type="button" class="current" aria-haspopup="listbox" aria-expanded="false">
+        <span class="text"></span><span class="caret">▾</span>
+      </button>
+      <div class="popup" hidden>
+        <input type="text" class="filter" role="combobox" aria-autocomplete="list"
+               aria-expanded="true" aria-controls="listbox" autocomplete="off"
+               placeholder="Filter…" aria-label="Filter options">
+        <div class="viewport" id="listbox" role="listbox">
+          <div class="spacer"></div>
+        </div>
+        <div class="empty" hidden>No matches</div>
+      </div>
+    `;
+    const root = this.shadowRoot;
+    this._button = root.querySelector('.current');
+    this._popup = root.querySelector('.popup');
+    this._filter = root.querySelector('.filter');
+    this._viewport = root.querySelector('.viewport');
+    this._spacer = root.querySelector('.spacer');
+
+    this._button.addEventListener('click', () => this._popup.hidden ? this.open() : this.close());
+    this._button.addEventListener('keydown', (e) => {
+      if (['ArrowDown', 'ArrowUp', 'Enter', ' '].includes(e.key)) {
+        e.preventDefault();
+        this.open();
+      }
+    });
+    this._filter.addEventListener('input', () => {
+      this._applyFilter();
+      this._setActive(this._rows.findIndex((r) => r.option));
+    });
+    this._filter.addEventListener('keydown', (e) => this._onFilterKeydown(e));
+    this._viewport.addEventListener('scroll', () => this._renderWindow());
+    // a press keeps focus in the filter; the click picks
+    this._viewport.addEventListener('mousedown', (e) => e.preventDefault());
+    this._viewport.addEventListener('click', (e) => {
+      const row = e.target.closest('[role="option"]');
+      if (row) this._choose(this._rows[Number(row.dataset.row)].option);
+    });
+    root.addEventListener('focusout', (e) => {
+      if (!root.contains(e.relatedTarget)) this.close();
+    });
+    this._syncButton();
+  }
+
+  attributeChangedCallback(name) {
+    if (name === 'disabled') {
+      this._button.disabled = this.disabled;
+      if (this.disabled) this.close();
+    }
+    this._syncButton();
+  }
+
+  get options() { return this._options; }
+  set options(list) {
+    this._options = Array.isArray(list) ? list : [];
+    this._byValue = new Map(this._options.map((o) => [o.value, o]));
+    this._syncButton();
+    if (!this._popup.hidden) this._applyFilter();
+  }
+
+  get value() { return this._value; }
+  set value(v) {
+    this._value = v ?? '';
+    this._syncButton();
+    if (!this._popup.hidden) this._renderWindow();
+  }
+
+  get disabled() { return this.hasAttribute('disabled'); }
+  set disabled(on) { this.toggleAttribute('disabled', !!on); }
+
+  open() {
+    if (this.disabled || !this._popup.hidden) return;
+    this._popup.hidden = false;
+    this._button.setAttribute('aria-expanded', 'true');
+    this._filter.value = '';
+    this._applyFilter();
+    const current = this._rows.findIndex((r) => r.option?.value === this._value);
+    this._setActive(current !== -1 ? current : this._rows.findIndex((r) => r.option));
+    this._filter.focus();
+  }
+
+  close() {
+    if (this._popup.hidden) return;
+    this._popup.hidden = true;
+    this._button.setAttribute('aria-expanded', 'false');
+    this._spacer.innerHTML = '';
+  }
+
+  _syncButton() {
+    const option = this._byValue.get(this._value);
+    const text = option ? option.label : this._value;
+    this._button.querySelector('.text').textContent = text || this.getAttribute('placeholder') || '';
+    this._button.classList.toggle('placeholder', !text);
+    this._button.title = option?.title ?? '';
+  }
+
+  /** Rows for the options matching the filter text (substring, value or label). */
+  _applyFilter() {
+    const query = this._filter.value.trim().toLowerCase();
+    const hit = (o) => !query || o.value.toLowerCase().includes(query) ||
+      (o.label ?? '').toLowerCase().includes(query);
+    const rows = [];
+    const groups = new Map();
+    for (const option of this._options) {
+      if (!hit(option)) continue;
+      const group = option.group ?? '';
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(option);
+    }
+    for (const [group, list] of groups) {
+      if (group) rows.push({ group });
+      for (const option of list) rows.push({ option });
+    }
+    this._rows = rows;
+    this._active = -1;
+    this._spacer.style.height = `${rows.length * PICKER_ROW_HEIGHT}px`;
+    this.shadowRoot.querySelector('.empty').hidden = rows.length > 0;
+    this._viewport.scrollTop = 0;
+    this._renderWindow();
+  }
+
+  /** Put in the DOM just the rows in (and near) view. */
+  _renderWindow() {
+    if (this._popup.hidden) return;
+    const esc = QuadFormWC._escOpt;
+    const first = Math.max(0,
+      Math.floor(this._viewport.scrollTop / PICKER_ROW_HEIGHT) - PICKER_OVERSCAN);
+    const last = Math.min(this._rows.length, first + PICKER_VISIBLE_ROWS + 2 * PICKER_OVERSCAN);
+    let html = '';
+    for (let i = first; i < last; i++) {
+      const row = this._rows[i];
+      const top = `style="top: ${i * PICKER_ROW_HEIGHT}px"`;
+      if (row.group) {
+        html += `<div class="row group" role="presentation" ${top}>${esc(row.group)}</div>`;
+        continue;
+      }
+      const o = row.option;
+      html += `<div class="row${i === this._active ? ' active' : ''}" role="option" id="row-${i}"` +
+        ` data-row="${i}" aria-selected="${o.value === this._value}" ${top}` +
+        `${o.title ? ` title="${esc(o.title)}"` : ''}>${esc(o.label ?? o.value)}</div>`;
+    }
+    this._spacer.innerHTML = html;
+  }
+
+  /** Highlight row `index` and scroll it into view. */
+  _setActive(index) {
+    this._active = index;
+    if (index === -1) {
+      this._filter.removeAttribute('aria-activedescendant');
+    } else {
+      const top = index * PICKER_ROW_HEIGHT;
+      const height = PICKER_VISIBLE_ROWS * PICKER_ROW_HEIGHT;
+      if (top < this._viewport.scrollTop) this._viewport.scrollTop = top;
+      else if (top + PICKER_ROW_HEIGHT > this._viewport.scrollTop + height) {
+        this._viewport.scrollTop = top + PICKER_ROW_HEIGHT - height;
+      }
+      this._filter.setAttribute('aria-activedescendant', `row-${index}`);
+    }
+    this._renderWindow();
+  }
+
+  /** The option row `steps` rows away from the active one, headers skipped. */
+  _stepActive(steps) {
+    const rows = this._rows;
+    let i = this._active;
+    const dir = Math.sign(steps);
+    for (let n = Math.abs(steps); n > 0;) {
+      const next = i + dir;
+      if (next < 0 || next >= rows.length) break;
+      i = next;
+      if (rows[i].option) n--;
+    }
+    if (i !== -1 && rows[i]?.option) this._setActive(i);
+  }
+
+  _onFilterKeydown(e) {
+    const steps = { ArrowDown: 1, ArrowUp: -1, PageDown: PICKER_VISIBLE_ROWS, PageUp: -PICKER_VISIBLE_ROWS };
+    if (e.key in steps) {
+      e.preventDefault();
+      this._stepActive(steps[e.key]);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const option = this._rows[this._active]?.option;
+      if (option) this._choose(option);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+      this._button.focus();
+    } else if (e.key === 'Tab') {
+      this.close();
+    }
+  }
+
+  _choose(option) {
+    const changed = option.value !== this._value;
+    this._value = option.value;
+    this._syncButton();
+    this.close();
+    this._button.focus();
+    if (changed) this.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+}
 
 class QuadFormWC extends HTMLElement {
+  // <form> participation: FormData, reset, restore, :invalid
+  static formAssociated = true;
+
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._internals = this.attachInternals?.() ?? null;
+    this._formDisabled = false;   // see formDisabledCallback
     
     // State
     this.fieldValues = {
@@ -165,17 +871,62 @@ class QuadFormWC extends HTMLElement {
       predicate: 0,
       object: 0
     };
+
+    // Batch mode: Submit stages into a reviewable list; Commit all
+    // sends the lot. Entries are {quad, literal}.
+    this._batchMode = false;
+    this._staged = [];
+    this._stagingEdit = null;   // staged entry loaded into the form
+
+    // Edit mode: the existing quad editQuad() loaded — Submit replaces
+    // it, Retract removes it. Entry shape as staged: {quad, literal}.
+    this._editing = null;
     
     // Configuration
     this._mmmServer = null;
-    this._prefixes = { ...COMMON_PREFIXES };
+    // A storage adapter (see quad-stores.js); preferred to mmmServer
+    this._store = null;
+    // The DOM-free core: the prefix table in effect, curie-mode,
+    // expand-curies and current-identity live on it
+    this._builder = new QuadBuilder();
+    // The prefix table is the base — COMMON_PREFIXES and the host's
+    // (prefixes setter) — over loaded vocabularies' prefixes, which
+    // outlive a new base so their picker CURIEs keep expanding, all
+    // overlaid with the user's own edits, which persist under storage-key
+    this._basePrefixes = { ...COMMON_PREFIXES };
+    this._vocabularyPrefixes = {};
+    this._prefixEdits = { added: {}, removed: [] };
+    this._prefixConflictSignature = '';  // the conflicts last announced
     this._prefixesFormLoaded = false;
-    this._currentIdentity = null;
-    this._expandQNames = true;
-    this._defaultGraph = 'mntl:publ/scratch';
+    this._defaultGraph = DEFAULT_GRAPH;
+    this._format = null;             // quad-submitted serialization
+    this._valueFormat = null;        // form value serialization
+    this._canonicalizeLiterals = null;  // null: follow the attribute
+    this._defaultLanguage = null;       // null: follow the attribute
     this._predicateOptions = null;   // host-supplied picker values
+    this._vocabularies = new Map();  // name -> {name, properties}
+    this._shapes = [];               // SHACL property shapes (loadShapes)
     this._subjectOptions = null;     // {value, label} pairs
     this._objectOptions = null;
+    this._completion = null;         // open listbox: {field, matches, active}
+    this._pickerCache = {};          // field -> its options (_pickerOptions)
+    this._completionProvider = null; // async candidates (completionProvider)
+    this._providerQuery = null;      // AbortController of the pending lookup
+    this._providerTimer = null;      // its debounce
+    this._providerPages = null;      // TINY paging: {field, text, values, index, exhausted}
+    this._validators = [];           // async quad checks (validators)
+    this._built = null;              // {quad, literal} behind the form value
+    this._submitState = 'idle';      // idle | pending | succeeded | failed
+    this._retry = null;              // what Retry runs after a failed store
+    // Outbox (opt-in): operations the server couldn't take yet, oldest
+    // first — entries {id, queue, op, quads, queuedAt}, mirrored in IndexedDB
+    this._outbox = [];
+    this._outboxReady = Promise.resolve();
+    this._outboxLoad = null;         // a load scheduled (_scheduleOutboxLoad)
+    this._replaying = false;
+    this._replayTimer = null;
+    this._replayDelay = 0;
+    this._onOnline = () => this.replayOutbox();
     /** AWAITING-SELF-LOOP (Shawn 2026-07-18): every new edge is
      * born a self-loop — while set, the object slot wears a grey
      * overlay ("awaiting subject for self loop") and SHADOWS the
@@ -184,6 +935,7 @@ class QuadFormWC extends HTMLElement {
     // the shadow rides typed subject edits and Tab completions
     this.addEventListener('field-changed', (e) => {
       if (e.detail?.field === 'subject') this._maybeShadowObject();
+      if (e.detail?.field === 'predicate') this._applyPredicateRange();
     });
   }
 
@@ -231,7 +983,13 @@ class QuadFormWC extends HTMLElement {
     if (!Array.isArray(list) || !list.length) return null;
     return list.map((o) => (typeof o === 'string')
       ? { value: o, label: o }
-      : { value: o.value, label: o.label ?? o.value });
+      : {
+        value: o.value,
+        label: o.label ?? o.value,
+        // optional: a tooltip, and the <optgroup> the option sits in
+        ...(o.title ? { title: o.title } : {}),
+        ...(o.group ? { group: o.group } : {})
+      });
   }
 
   static _escOpt(s) {
@@ -240,34 +998,291 @@ class QuadFormWC extends HTMLElement {
   }
 
   _setFieldOptions(field, list) {
-    const norm = QuadFormWC._normalizeOptions(list);
-    this[`_${field}Options`] = norm;
+    this[`_${field}Options`] = QuadFormWC._normalizeOptions(list);
+    this._refreshSelect(field);
+  }
+
+  /**
+   * Hand a live picker its (new) options. The picker keeps its value;
+   * TINY's arrow-key position follows it into the new list.
+   */
+  _refreshSelect(field) {
+    this._pickerCache[field] = null;
+    const options = this._pickerOptions(field);
+    const index = options.findIndex((o) => o.value === this.fieldValues[field]);
+    this.tinyPickerIndices[field] = Math.max(index, 0);
     const select = this.shadowRoot?.getElementById(`${field}-select`);
     if (select) {
-      const current = this.fieldValues[field];
-      const cap = field.charAt(0).toUpperCase() + field.slice(1);
-      select.innerHTML = `<option value="">Select ${cap}...</option>` +
-        (norm ?? []).map((o) =>
-          `<option value="${QuadFormWC._escOpt(o.value)}">` +
-          `${QuadFormWC._escOpt(o.label)}</option>`).join('');
-      if (current) select.value = current;
+      select.options = options;
+      if (this.fieldValues[field]) select.value = this.fieldValues[field];
     }
   }
 
+  /**
+   * A field's picker options, worked out once per change rather than
+   * on every keystroke or arrow press (predicateOptions is merged on
+   * each read).
+   */
+  _pickerOptions(field) {
+    return this._pickerCache[field] ??= field === 'predicate' ? this.predicateOptions
+      : field === 'subject' ? this.subjectOptions
+      : field === 'object' ? this.objectOptions : [];
+  }
+
   /**
    * The predicate picker's values. Hosts feed these from their own
    * vocabulary source (e.g. NooViz's engaged-ontologies VocabularyKb);
-   * unset, the hardcoded COMMON_PROPERTIES stand. Setting re-renders
-   * the live select, preserving the current value when possible.
-   * @param {Array<string|{value,label}>|null} list
+   * unset, the hardcoded COMMON_PROPERTIES stand. Properties of
+   * loaded vocabularies (see loadVocabulary) follow, one group each.
+   * Setting re-renders the live select, preserving the current value
+   * when possible.
+   * @param {Array<string|{value,label,title?,group?}>|null} list
    */
   set predicateOptions(list) {
     this._setFieldOptions('predicate', list);
   }
 
   get predicateOptions() {
-    return this._predicateOptions ??
+    // contracted against the table in effect now, which may have
+    // changed since loading: an offered CURIE always expands
+    const vocabulary = [...this._vocabularies.values()].flatMap((v) =>
+      v.properties.map((p) => {
+        const value = this.contractUri(p.iri);
+        return {
+          value,
+          label: p.label ?? value,
+          title: p.comment ? `${value} — ${p.comment}` : value,
+          group: v.name
+        };
+      }));
+    const offered = new Set(vocabulary.map((o) => o.value));
+    const base = this._predicateOptions ??
       COMMON_PROPERTIES.map((p) => ({ value: p, label: p }));
+    return [...base.filter((o) => !offered.has(o.value)), ...vocabulary];
+  }
+
+  /**
+   * Load an RDFS/OWL vocabulary supplied as text — nothing is fetched.
+   * Its rdf:Property, owl:ObjectProperty and owl:DatatypeProperty terms
+   * join the predicate picker in an <optgroup>, labelled by rdfs:label
+   * (in defaultLanguage where the vocabulary has it) with the
+   * rdfs:comment as tooltip. Prefixes it declares that we lack are
+   * added. Loading under an existing name replaces that vocabulary.
+   * @param {string} text - Turtle or JSON-LD
+   * @param {Object} [options]
+   * @param {'turtle'|'jsonld'} [options.format] - default: JSON-LD if
+   *   the text starts with { or [, else Turtle
+   * @param {string} [options.name] - the group label (default: the
+   *   owl:Ontology's title, else its namespace's prefix)
+   * @returns {Array<{value, iri, kind, label, comment, domain, range}>}
+   *   the properties loaded
+   * @throws {Error} when the text doesn't parse
+   */
+  loadVocabulary(text, { format, name } = {}) {
+    format ??= /^\s*[{[]/.test(text) ? 'jsonld' : 'turtle';
+    const { triples, prefixes } = format === 'jsonld'
+      ? parseJsonLdDocument(text)
+      : parseTurtleDocument(text);
+
+    const known = new Set(Object.values(this._builder.prefixes));
+    let added = false;
+    for (const [prefix, ns] of Object.entries(prefixes)) {
+      if (prefix && this._builder.prefixes[prefix] === undefined && !known.has(ns)) {
+        this._vocabularyPrefixes[prefix] = ns;
+        known.add(ns);
+        added = true;
+      }
+    }
+    if (added) this._composePrefixes();
+
+    const { title, properties } = vocabularyProperties(triples, this.defaultLanguage);
+    for (const p of properties) {
+      const curie = this.contractUri(p.iri);
+      p.value = curie !== p.iri && this.validateField(null, curie, 'qname') ? curie : p.iri;
+    }
+    const prefixOf = (v) => v.includes('://') ? null : v.substring(0, v.indexOf(':'));
+    name ??= title ?? (properties.length ? prefixOf(properties[0].value) : null) ??
+      `vocabulary ${this._vocabularies.size + 1}`;
+
+    this._vocabularies.set(name, { name, properties });
+    this._refreshSelect('predicate');
+    return properties;
+  }
+
+  /** Drop a vocabulary loadVocabulary loaded (by its name). */
+  unloadVocabulary(name) {
+    if (this._vocabularies.delete(name)) this._refreshSelect('predicate');
+  }
+
+  /** The loaded vocabularies: [{name, properties}]. */
+  get vocabularies() { return [...this._vocabularies.values()]; }
+
+  /**
+   * Attach a SHACL shapes graph — nothing is fetched. Property shapes
+   * whose sh:path is the predicate being composed then check the
+   * object (see shaclViolations); violations block Submit like any
+   * error, sh:Warning/sh:Info results come as warnings. Replaces any
+   * shapes loaded before.
+   * @param {string} text - Turtle or JSON-LD
+   * @param {Object} [options]
+   * @param {'turtle'|'jsonld'} [options.format] - default: JSON-LD if
+   *   the text starts with { or [, else Turtle
+   * @returns {number} how many property shapes apply to values
+   * @throws {Error} when the text doesn't parse
+   */
+  loadShapes(text, { format } = {}) {
+    format ??= /^\s*[{[]/.test(text) ? 'jsonld' : 'turtle';
+    const { triples } = format === 'jsonld'
+      ? parseJsonLdDocument(text)
+      : parseTurtleDocument(text);
+    this._shapes = shaclPropertyShapes(triples, this.defaultLanguage);
+    this.validate();
+    return this._shapes.length;
+  }
+
+  /** Detach the shapes graph. */
+  clearShapes() {
+    this._shapes = [];
+    this.validate();
+  }
+
+  /**
+   * The object as an RDF term for SHACL: {type, value, datatype?,
+   * language?} with full IRIs; null while it's empty.
+   */
+  _objectTerm() {
+    const value = this.fieldValues.object;
+    if (!value) return null;
+    if (this._objectIsLiteral()) {
+      const term = {
+        type: 'literal',
+        value: completeHtml5Lexical(this.objectDatatype, value)
+      };
+      if (this.objectLanguage) term.language = this.objectLanguage;
+      else term.datatype = this.expandQName(this.objectDatatype || 'xsd:string');
+      return term;
+    }
+    if (isBlankLabel(value)) return { type: 'blank', value };
+    if (isQuotedText(value)) return { type: 'triple', value };
+    return { type: 'iri', value: this.expandQName(value) };
+  }
+
+  /**
+   * SHACL results for the statement being composed: each
+   * {severity: 'Violation'|'Warning'|'Info', message}.
+   */
+  _shaclResults() {
+    const object = this._objectTerm();
+    if (!this._shapes.length || !object || !this.fieldValues.predicate) return [];
+    const predicate = this.expandQName(this.fieldValues.predicate);
+    const subject = this.expandQName(this.fieldValues.subject);
+    const curie = (iri) => this.contractUri(iri);
+    return this._shapes
+      .filter((shape) => shape.path === predicate &&
+        (!shape.targetNodes.length || shape.targetNodes.includes(subject)))
+      .flatMap((shape) => shaclViolations(shape, object, curie).map((v) => ({
+        severity: shape.severity.substring(SH_NS.length),
+        // sh:message, when the shape has one, says it in its own words
+        message: shape.message
+          ? `Object of ${this.fieldValues.predicate}: ${shape.message} (sh:${v.constraint})`
+          : `Object of ${this.fieldValues.predicate} ${v.message} (sh:${v.constraint})`
+      })));
+  }
+
+  /** Outline the object's controls with its SHACL results, if any. */
+  _syncShaclStyling(results) {
+    const violation = results.some((r) => r.severity === 'Violation');
+    const title = results.map((r) => r.message).join('\n');
+    for (const id of ['object-input', 'object-textarea', 'object-select']) {
+      const el = this.shadowRoot.getElementById(id);
+      if (!el) continue;
+      el.classList.toggle('shacl-violation', violation);
+      el.classList.toggle('shacl-warning', !violation && results.length > 0);
+      el.title = title;
+    }
+  }
+
+  /**
+   * What the predicate's rdfs:range (from a loaded vocabulary, else
+   * COMMON_RANGES) asks of the object: {range, literal: false} for a
+   * class, {range, literal: true, datatype} for a datatype — datatype
+   * null when any literal will do. null when the range is unknown.
+   */
+  _predicateRange(predicate = this.fieldValues.predicate) {
+    if (!predicate) return null;
+    const iri = this.expandQName(predicate);
+    const declared = this.vocabularies.flatMap((v) => v.properties)
+      .find((p) => p.iri === iri && p.range)?.range;
+    const common = Object.entries(COMMON_RANGES)
+      .find(([p]) => this.expandQName(p) === iri)?.[1];
+    const range = declared ?? (common && this.expandQName(common));
+    if (!range) return null;
+
+    const curie = this.contractUri(range);
+    if (range in LITERAL_RANGES) {
+      return { range: curie, literal: true, datatype: LITERAL_RANGES[range] };
+    }
+    // the type menu speaks xsd:/rdf: CURIEs whatever the prefixes
+    if (range.startsWith(XSD_NS)) {
+      return { range: curie, literal: true, datatype: 'xsd:' + range.substring(XSD_NS.length) };
+    }
+    if (['HTML', 'XMLLiteral', 'JSON'].some((t) => range === RDF_NS + t)) {
+      return { range: curie, literal: true, datatype: 'rdf:' + range.substring(RDF_NS.length) };
+    }
+    return { range: curie, literal: false };
+  }
+
+  /** Is the object's current type one the predicate's range admits? */
+  _rangeWarning() {
+    const range = this._predicateRange();
+    if (!range) return null;
+    const predicate = this.fieldValues.predicate;
+    const literal = this._objectIsLiteral();
+    if (!range.literal && literal) {
+      return `${predicate} expects a resource (${range.range}), not a literal`;
+    }
+    if (range.literal && !literal) {
+      return `${predicate} expects ${range.datatype ?? 'a literal'}, not a resource`;
+    }
+    const datatype = this.objectDatatype || 'xsd:string';
+    if (range.datatype && datatype !== range.datatype &&
+        !DATATYPE_SUPERTYPES[datatype]?.includes(range.datatype)) {
+      return `${predicate} expects ${range.datatype}, not ${datatype}`;
+    }
+    return null;
+  }
+
+  /**
+   * A predicate with a known range sets the object up for it: a class
+   * range makes the object a resource (QName), a datatype range that
+   * datatype — with its HTML5 control. A forced type that disagrees
+   * later only draws a warning (see validate).
+   */
+  _applyPredicateRange() {
+    const range = this._predicateRange();
+    if (range && this._rangeWarning()) {
+      if (!range.literal) this._setFieldType('object', 'qname');
+      else this._setObjectDatatype(range.datatype ?? 'xsd:string');
+    }
+    this._syncRangeWarning();
+  }
+
+  /** Type the object as `datatype`, via the type menu when it offers it. */
+  _setObjectDatatype(datatype) {
+    const typeSelect = this.shadowRoot.getElementById('object-type-select');
+    const offered = [...(typeSelect?.options ?? [])]
+      .some((o) => o.value === datatype);
+    this._setFieldType('object', offered ? datatype : 'xsd:string');
+    // a datatype the type menu doesn't offer still rides on the quad
+    if (!offered) this.objectDatatype = datatype;
+  }
+
+  /** Flag the object's type menu while the range disagrees with it. */
+  _syncRangeWarning(warning = this._rangeWarning()) {
+    const typeSelect = this.shadowRoot.getElementById('object-type-select');
+    if (!typeSelect) return;
+    typeSelect.classList.toggle('range-mismatch', !!warning);
+    typeSelect.title = warning ?? '';
   }
 
   /** Subject/object candidate entities — {value, label} pairs (a
@@ -278,12 +1293,28 @@ class QuadFormWC extends HTMLElement {
   set objectOptions(list) { this._setFieldOptions('object', list); }
   get objectOptions() { return this._objectOptions ?? []; }
 
+  /**
+   * Async candidates for entity sets too big for the option arrays:
+   * `(field, text, {signal, offset, limit}) => Promise<Array<{value,
+   * label?, description?}>>`. The inputs ask it as the user types
+   * (debounced; `signal` aborts when a newer keystroke supersedes the
+   * request) and TINY's arrow keys page through it `limit` at a time.
+   * Its results follow the local options' matches.
+   */
+  get completionProvider() { return this._completionProvider; }
+  set completionProvider(fn) {
+    this._completionProvider = typeof fn === 'function' ? fn : null;
+    this._providerPages = null;
+    this._closeCompletions();
+  }
+
   /**
    * TAB completion for entity fields: if the typed text prefixes a
    * candidate's label or value (case-insensitive), complete to the
    * candidate's VALUE. @returns {boolean} whether one applied
    */
   _tryComplete(field, input) {
+    if (this._isLocked()) return false;
     const text = (input.value ?? '').trim();
     if (!text) return false;
     const opts = field === 'subject' ? this.subjectOptions
@@ -293,15 +1324,208 @@ class QuadFormWC extends HTMLElement {
       o.value.toLowerCase().startsWith(low) ||
       (o.label ?? '').toLowerCase().startsWith(low));
     if (!hit || hit.value === text) return false;
-    input.value = hit.value;
-    this.fieldValues[field] = hit.value;
+    this._acceptCompletion(field, hit);
+    return true;
+  }
+
+  /** The candidates a field's completion listbox draws from. */
+  _completionOptions(field) {
+    if (field === 'object' && this._objectIsLiteral()) return [];
+    return this._pickerOptions(field);
+  }
+
+  /**
+   * Open (or refresh) the field's completion listbox on what its input
+   * holds. Empty input closes it unless `all` — then every candidate
+   * is listed, as ArrowDown on an empty field does.
+   */
+  _openCompletions(field, { all = false } = {}) {
+    const input = this.shadowRoot?.getElementById(`${field}-input`);
+    if (!input) return;
+    const text = input.value.trim();
+    const local = (text || all) ? rankCompletions(this._completionOptions(field), text) : [];
+    this._showCompletions(field, local, text);
+    // the provider's results join the local ones when they arrive
+    const literal = field === 'object' && this._objectIsLiteral();
+    if (this._completionProvider && (text || all) && !literal) {
+      this._queryProvider(field, text, local);
+    }
+  }
+
+  /** Render `matches` as the field's listbox — or close it if empty. */
+  _showCompletions(field, matches, text, active = -1) {
+    const input = this.shadowRoot.getElementById(`${field}-input`);
+    const listbox = this.shadowRoot.getElementById(`${field}-listbox`);
+    if (!listbox) return;
+    // nothing to offer — or only what's already there
+    if (!matches.length || (matches.length === 1 && matches[0].option.value === text)) {
+      if (this._completion) this._hideListbox();
+      return;
+    }
+    if (this._completion && this._completion.field !== field) this._closeCompletions();
+    this._completion = { field, matches, active: -1 };
+
+    listbox.innerHTML = matches.map(({ option, field: matched, indices }, i) => {
+      const value = matched === 'value'
+        ? highlightMatch(option.value, indices) : QuadFormWC._escOpt(option.value);
+      const label = option.label && option.label !== option.value
+        ? `<span class="completion-label">${matched === 'label'
+          ? highlightMatch(option.label, indices) : QuadFormWC._escOpt(option.label)}</span>`
+        : '';
+      const title = option.title ? ` title="${QuadFormWC._escOpt(option.title)}"` : '';
+      return `<li role="option" id="${field}-option-${i}" data-index="${i}"` +
+        ` aria-selected="false"${title}>${value}${label}</li>`;
+    }).join('');
+    listbox.classList.remove('hidden');
+    input.setAttribute('aria-expanded', 'true');
+    input.removeAttribute('aria-activedescendant');
+    if (active !== -1 && active < matches.length) this._markActiveCompletion(active);
+  }
+
+  /**
+   * Ask completionProvider for `text`, debounced; a newer keystroke
+   * aborts the pending request. Its results follow the local
+   * `matches` in the listbox, minus values already there.
+   */
+  _queryProvider(field, text, local) {
+    this._cancelProviderQuery();
+    const controller = new AbortController();
+    this._providerQuery = controller;
+    this._providerTimer = setTimeout(async () => {
+      this._providerTimer = null;
+      let results;
+      try {
+        results = await this._completionProvider(field, text, {
+          signal: controller.signal, offset: 0, limit: COMPLETION_LIMIT
+        });
+      } catch (err) {
+        if (!controller.signal.aborted) console.warn('completionProvider failed:', err);
+        return;
+      }
+      if (controller.signal.aborted) return;
+      this._providerQuery = null;
+      const seen = new Set(local.map((m) => m.option.value));
+      const more = QuadFormWC._providerOptions(results)
+        .filter((o) => !seen.has(o.value))
+        .map((option) => ({
+          option,
+          // the provider has its own idea of a match; highlight ours if any
+          ...(text && matchCompletion(option, text) || { field: 'value', indices: [] })
+        }));
+      const active = this._completion?.field === field ? this._completion.active : -1;
+      this._showCompletions(field, [...local, ...more].slice(0, COMPLETION_LIMIT), text, active);
+    }, COMPLETION_DEBOUNCE_MS);
+  }
+
+  _cancelProviderQuery() {
+    clearTimeout(this._providerTimer);
+    this._providerTimer = null;
+    this._providerQuery?.abort();
+    this._providerQuery = null;
+  }
+
+  /** Provider results ({value, label?, description?} or strings) as options. */
+  static _providerOptions(results) {
+    if (!Array.isArray(results)) return [];
+    return QuadFormWC._normalizeOptions(results.map((r) => typeof r === 'string'
+      ? r : { ...r, title: r.title ?? r.description })) ?? [];
+  }
+
+  /** Close the listbox and drop any provider request still pending. */
+  _closeCompletions() {
+    this._cancelProviderQuery();
+    if (this._completion) this._hideListbox();
+  }
+
+  _hideListbox() {
+    const { field } = this._completion;
+    this._completion = null;
+    const listbox = this.shadowRoot?.getElementById(`${field}-listbox`);
+    if (listbox) {
+      listbox.classList.add('hidden');
+      listbox.innerHTML = '';
+    }
+    const input = this.shadowRoot?.getElementById(`${field}-input`);
+    input?.setAttribute('aria-expanded', 'false');
+    input?.removeAttribute('aria-activedescendant');
+  }
+
+  /** Move the listbox's active option by `delta`, wrapping around. */
+  _moveCompletion(delta) {
+    const c = this._completion;
+    const count = c.matches.length;
+    this._markActiveCompletion(c.active === -1
+      ? (delta > 0 ? 0 : count - 1)
+      : (c.active + delta + count) % count);
+  }
+
+  _markActiveCompletion(index) {
+    const c = this._completion;
+    c.active = index;
+    const listbox = this.shadowRoot.getElementById(`${c.field}-listbox`);
+    listbox.querySelectorAll('[role="option"]').forEach((li, i) => {
+      li.setAttribute('aria-selected', String(i === index));
+    });
+    const active = listbox.querySelector(`#${c.field}-option-${index}`);
+    active?.scrollIntoView?.({ block: 'nearest' });
+    this.shadowRoot.getElementById(`${c.field}-input`)
+      .setAttribute('aria-activedescendant', `${c.field}-option-${index}`);
+  }
+
+  /** Put a candidate's VALUE into the field, as if typed. */
+  _acceptCompletion(field, option) {
+    this._closeCompletions();
+    const input = this.shadowRoot.getElementById(`${field}-input`);
+    if (input) input.value = option.value;
+    this._clearPresumed(field);
+    this.fieldValues[field] = option.value;
     this.updateFieldValidation();
     this.dispatchEvent(new CustomEvent('field-changed', {
-      detail: { field, value: hit.value },
+      detail: { field, value: option.value },
       bubbles: true, composed: true,
     }));
     this.validate();
-    return true;
+  }
+
+  /**
+   * Combobox keys on a field input: arrows move through the listbox
+   * (ArrowDown opens it, except in TINY where closed arrows cycle the
+   * picker), Enter takes the active option, Tab the active or the
+   * best one, Escape closes. @returns {boolean} whether the key was
+   * the listbox's
+   */
+  _handleCompletionKeydown(e, field) {
+    if (this._isLocked() || e.altKey || e.ctrlKey || e.metaKey) return false;
+    const open = this._completion?.field === field;
+    const mode = this.shadowRoot.querySelector('.quad-form-container')?.dataset.mode;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!open) {
+        if (mode === 'tiny') return false;
+        this._openCompletions(field, { all: true });
+        if (this._completion?.field !== field) return false;
+      }
+      e.preventDefault();
+      this._moveCompletion(e.key === 'ArrowDown' ? 1 : -1);
+      return true;
+    }
+    if (!open) return false;
+    const { matches, active } = this._completion;
+    if (e.key === 'Enter' && active !== -1) {
+      e.preventDefault();
+      this._acceptCompletion(field, matches[active].option);
+      return true;
+    }
+    if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      this._acceptCompletion(field, matches[Math.max(active, 0)].option);
+      return true;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this._closeCompletions();
+      return true;
+    }
+    return false;
   }
 
   // Getters/setters for objectDatatype and objectLanguage
@@ -324,22 +1548,104 @@ class QuadFormWC extends HTMLElement {
     return this._objectLanguage;
   }
 
+  // A well-formed BCP 47 tag is stored in its conventional case
+  // (en-gb → en-GB); a malformed one is kept as typed for validate()
   set objectLanguage(value) {
+    value = value ?? '';
+    if (isWellFormedLanguageTag(value)) value = normalizeLanguageTag(value);
     if (this._objectLanguage !== value) {
       this._objectLanguage = value;
     }
   }
   
+  static get observedAttributes() {
+    return [
+      'expand-curies', 'default-graph', 'current-identity', 'mode',
+      'readonly', 'disabled', 'hide-graph', 'batch', 'storage-key', 'curie-mode',
+      'outbox'
+    ];
+  }
+
+  /**
+   * Attributes are the source of truth for the configuration they
+   * name: the properties reflect to them, and a change lands here and
+   * updates the live shadow DOM in place — no re-render.
+   */
+  attributeChangedCallback(name, oldValue, value) {
+    if (oldValue === value) return;
+    const rendered = !!this.shadowRoot.querySelector('.quad-form-container');
+    switch (name) {
+      case 'expand-curies':
+        this._builder.expandCuries = value !== 'false';
+        break;
+      case 'default-graph':
+        this._defaultGraph = value ?? DEFAULT_GRAPH;
+        if (rendered) this.setField('graph', this._defaultGraph);
+        else this.fieldValues.graph = this._defaultGraph;
+        break;
+      case 'current-identity':
+        this._builder.identity = value;
+        if (this.isConnected) this.updateAttribution();
+        break;
+      case 'mode':
+        this._applyMode(MODES.has(value) ? value : 'full');
+        break;
+      case 'readonly':
+      case 'disabled':
+        this._syncInteractivity();
+        break;
+      case 'hide-graph':
+        // a hidden graph stops being required (see validate)
+        if (rendered) this.validate();
+        break;
+      case 'batch':
+        this._batchMode = value !== null;
+        this._renderStaged();
+        break;
+      case 'storage-key':
+        this._restorePrefixEdits();
+        if (this.outbox) this._scheduleOutboxLoad();
+        break;
+      case 'outbox':
+        if (value !== null) this._scheduleOutboxLoad();
+        break;
+      case 'curie-mode':
+        this._builder.curieMode = this.curieMode;
+        if (rendered) {
+          this.updateFieldValidation();
+          this.validate();
+        }
+        break;
+    }
+  }
+
+  /** Property → attribute: null/undefined/false removes it, true sets it empty. */
+  _reflect(name, value) {
+    if (value === null || value === undefined || value === false) {
+      this.removeAttribute(name);
+    } else {
+      this.setAttribute(name, value === true ? '' : value);
+    }
+  }
+
   connectedCallback() {
     this.render();
+    for (const field of ['subject', 'predicate', 'object']) this._refreshSelect(field);
+    this._renderPrefixConflicts();
     this.attachEventListeners();
     this.updateAttribution();
     this.loadPrefixesForm();
+    this._syncInteractivity();
+    globalThis.addEventListener?.('online', this._onOnline);
+    if (this.outbox) this.replayOutbox();
+    if (this.nanoMode) this._fillNanoDefaults();
+    // the owning form sees the (empty, invalid) quad from the start
+    this._syncFormValue(this._validationErrors());
     // start-in-tiny: honor tinyMode set before mount (the say-line
     // pins TINY) — sync the derived state toggleTinyMode would have
     if (this.tinyMode) {
       this.tinyFieldTypes = {
-        subject: this.fieldTypes.subject === 'uri' ? 'uri' : 'qname',
+        subject: ['uri', 'blank', 'triple'].includes(this.fieldTypes.subject) ? this.fieldTypes.subject : 'qname',
         predicate: this.fieldTypes.predicate === 'uri' ? 'uri' : 'qname',
         object: this.getObjectTinyType()
       };
@@ -350,35 +1656,426 @@ class QuadFormWC extends HTMLElement {
   
   // Getters/setters
   get mmmServer() { return this._mmmServer; }
-  set mmmServer(value) { this._mmmServer = value; }
+  set mmmServer(value) {
+    this._mmmServer = value;
+    // a server coming (back) takes what waited for it
+    if (value) this.replayOutbox();
+  }
+
+  /**
+   * Where quads are stored: any adapter with addQuad(quad),
+   * deleteQuad(quad) and optionally addQuads(quads), each returning a
+   * promise — DatasetStore, SparqlUpdateStore, NQuadsStore or the
+   * host's own. Takes precedence over mmmServer, which is one too.
+   */
+  get store() { return this._store; }
+  set store(adapter) {
+    this._store = adapter ?? null;
+    if (adapter) this.replayOutbox();
+  }
+
+  /** The store in effect: `store`, else mmmServer. */
+  _storage() {
+    return this._store ?? this._mmmServer;
+  }
   
-  get prefixes() { return this._prefixes; }
+  /**
+   * The prefix table in effect. Setting it replaces the host's part:
+   * COMMON_PREFIXES merged with `value`. Loaded vocabularies' prefixes
+   * stay under it, the user's own edits (the prefixes form,
+   * importPrefixes) on top of it.
+   */
+  get prefixes() { return this._builder.prefixes; }
   set prefixes(value) { 
-    this._prefixes = { ...COMMON_PREFIXES, ...value };
+    this._basePrefixes = { ...COMMON_PREFIXES, ...value };
+    this._composePrefixes();
   }
-  
-  get currentIdentity() { return this._currentIdentity; }
-  set currentIdentity(value) { 
-    this._currentIdentity = value;
-    this.updateAttribution();
-    // Update by-value if it exists
-    const byValue = this.shadowRoot?.getElementById('by-value');
-    if (byValue) {
-      byValue.textContent = value || 'not logged in';
+
+  /**
+   * The localStorage key the user's prefix edits persist under
+   * (`storage-key`); null keeps them for the page's lifetime only.
+   */
+  get storageKey() { return this.getAttribute('storage-key'); }
+  set storageKey(key) { this._reflect('storage-key', key || null); }
+
+  /**
+   * How CURIEs are read and written (`curie-mode`): 'strict' (the
+   * default) takes what Turtle can write as a prefixed name, 'lenient'
+   * any W3C CURIE — `ex:a/b?c` included.
+   */
+  get curieMode() {
+    const mode = this.getAttribute('curie-mode');
+    return CURIE_MODES.has(mode) ? mode : 'strict';
+  }
+  set curieMode(mode) {
+    this._reflect('curie-mode', CURIE_MODES.has(mode) && mode !== 'strict' ? mode : null);
+  }
+
+  /**
+   * Vocabulary prefixes under the base table (one whose name or
+   * namespace the base has gives way), plus the user's edits → the
+   * builder's table; announces it.
+   */
+  _composePrefixes() {
+    const base = this._basePrefixes;
+    const namespaces = new Set(Object.values(base));
+    const vocabulary = Object.fromEntries(Object.entries(this._vocabularyPrefixes)
+      .filter(([prefix, ns]) => base[prefix] === undefined && !namespaces.has(ns)));
+    const table = { ...vocabulary, ...base, ...this._prefixEdits.added };
+    for (const prefix of this._prefixEdits.removed) delete table[prefix];
+    this._builder.prefixes = table;
+    if (this._vocabularies.size) this._refreshSelect('predicate');
+    this.syncPrefixesForm();
+    this.dispatchEvent(new CustomEvent('prefixes-changed', {
+      detail: { prefixes: { ...table } },
+      bubbles: true,
+      composed: true
+    }));
+    this._checkPrefixConflicts();
+  }
+
+  /** The prefix table's conflicts (see prefixConflicts). */
+  get prefixConflicts() {
+    return this._builder.prefixConflicts;
+  }
+
+  /**
+   * List the table's conflicts in the prefixes overlay, and announce
+   * them with prefix-conflict when they differ from the last ones.
+   */
+  _checkPrefixConflicts() {
+    const conflicts = this.prefixConflicts;
+    const signature = conflicts.map((c) => c.message).join('\n');
+    this._renderPrefixConflicts(conflicts);
+    if (signature === this._prefixConflictSignature) return;
+    this._prefixConflictSignature = signature;
+    if (!conflicts.length) return;
+    this.dispatchEvent(new CustomEvent('prefix-conflict', {
+      detail: { conflicts },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _renderPrefixConflicts(conflicts = this.prefixConflicts) {
+    const box = this.shadowRoot?.getElementById('prefix-conflicts');
+    if (!box) return;
+    box.classList.toggle('hidden', !conflicts.length);
+    box.innerHTML = conflicts.length
+      ? `<strong>Prefix conflicts</strong><ul>${conflicts.map((c) =>
+        `<li>${QuadFormWC._escOpt(c.message)}</li>`).join('')}</ul>`
+      : '';
+  }
+
+  /**
+   * Record user edits to the prefix table — `added` {prefix:
+   * namespace}, `removed` [prefix] — and persist them. No-op edits
+   * (already so) are dropped.
+   */
+  _editPrefixes(added = {}, removed = []) {
+    const edits = this._prefixEdits;
+    let changed = false;
+    for (const [prefix, ns] of Object.entries(added)) {
+      if (this._builder.prefixes[prefix] === ns) continue;
+      edits.added[prefix] = ns;
+      edits.removed = edits.removed.filter((p) => p !== prefix);
+      changed = true;
+    }
+    for (const prefix of removed) {
+      if (this._builder.prefixes[prefix] === undefined) continue;
+      delete edits.added[prefix];
+      if (this._basePrefixes[prefix] !== undefined ||
+          this._vocabularyPrefixes[prefix] !== undefined) edits.removed.push(prefix);
+      changed = true;
+    }
+    if (!changed) return;
+    this._storePrefixEdits();
+    this._composePrefixes();
+  }
+
+  _storePrefixEdits() {
+    const key = this.storageKey;
+    if (!key) return;
+    try {
+      localStorage.setItem(key, JSON.stringify(this._prefixEdits));
+    } catch (err) {
+      // storage full or blocked: the edits hold for this page only
+      console.warn('Could not store prefixes:', err);
+    }
+  }
+
+  /**
+   * Take up the edits stored under storage-key. Nothing stored yet:
+   * the edits so far are stored there instead.
+   */
+  _restorePrefixEdits() {
+    const key = this.storageKey;
+    if (!key) return;
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(key));
+    } catch {
+      // unreadable or blocked storage counts as nothing stored
+    }
+    if (stored && typeof stored.added === 'object' && Array.isArray(stored.removed)) {
+      this._prefixEdits = { added: { ...stored.added }, removed: [...stored.removed] };
+      this._composePrefixes();
+    } else {
+      this._storePrefixEdits();
+    }
+  }
+
+  /**
+   * Add prefixes from `@prefix`/`PREFIX` lines (Turtle, SPARQL — the
+   * rest of the text is ignored) or a
+   * JSON-LD context — a document with `@context`, a bare context
+   * object, or either as JSON text. They count as the user's edits:
+   * they override the base table and persist under storage-key.
+   * @param {string|Object} source
+   * @returns {Object} the {prefix: namespace} pairs imported
+   * @throws {Error} when the text doesn't parse
+   */
+  importPrefixes(source) {
+    let doc = source;
+    if (typeof source === 'string') {
+      if (!/^\s*[{[]/.test(source)) {
+        // just the declarations: a query or data may follow them
+        const prefixes = {};
+        for (const [, prefix, ns] of source.matchAll(PREFIX_DECLARATION)) {
+          prefixes[prefix] = unescapeString(ns);
+        }
+        if (!Object.keys(prefixes).length) throw new Error('No @prefix or PREFIX declarations');
+        this._editPrefixes(prefixes);
+        return prefixes;
+      }
+      doc = JSON.parse(source);
+    }
+    if (!doc || typeof doc !== 'object') throw new Error('Expected a JSON-LD context');
+    const context = Array.isArray(doc) || !('@context' in doc) ? doc : doc['@context'];
+    const { prefixes } = parseJsonLdDocument(JSON.stringify({ '@context': context }));
+    this._editPrefixes(prefixes);
+    return prefixes;
+  }
+
+  /**
+   * The prefix table as text: `turtle` (@prefix lines), `sparql`
+   * (PREFIX lines) or `jsonld` (a {"@context": ...} document).
+   */
+  exportPrefixes(format = 'turtle') {
+    const entries = Object.entries(this._builder.prefixes);
+    switch (format) {
+      case 'turtle':
+        return entries.map(([p, ns]) => `@prefix ${p}: <${escapeIri(ns)}> .\n`).join('');
+      case 'sparql':
+        return entries.map(([p, ns]) => `PREFIX ${p}: <${escapeIri(ns)}>\n`).join('');
+      case 'jsonld':
+        return JSON.stringify({ '@context': Object.fromEntries(entries) }, null, 2);
+      default:
+        throw new Error(`Unknown prefix export format: ${format}`);
     }
   }
   
-  get expandQNames() { return this._expandQNames; }
-  set expandQNames(value) { this._expandQNames = value; }
+  // Reflected to attributes (see attributeChangedCallback)
+  get currentIdentity() { return this._builder.identity; }
+  set currentIdentity(value) { this._reflect('current-identity', value || null); }
+  
+  get expandQNames() { return this._builder.expandCuries; }
+  set expandQNames(value) { this._reflect('expand-curies', value ? null : 'false'); }
+  get expandCuries() { return this.expandQNames; }
+  set expandCuries(value) { this.expandQNames = value; }
   
   get defaultGraph() { return this._defaultGraph; }
-  set defaultGraph(value) { 
-    this._defaultGraph = value;
-    this.fieldValues.graph = value;
+  set defaultGraph(value) { this._reflect('default-graph', value); }
+
+  /** 'full' | 'tiny' | 'nano' — the layout, as the mode buttons set it. */
+  get mode() { return this.nanoMode ? 'nano' : this.tinyMode ? 'tiny' : 'full'; }
+  set mode(value) {
+    if (!MODES.has(value)) throw new Error(`Unknown mode: ${value}`);
+    this._reflect('mode', value);
   }
-  
+
+  get readOnly() { return this.hasAttribute('readonly'); }
+  set readOnly(on) { this._reflect('readonly', !!on); }
+  get disabled() { return this.hasAttribute('disabled'); }
+  set disabled(on) { this._reflect('disabled', !!on); }
+  get hideGraph() { return this.hasAttribute('hide-graph'); }
+  set hideGraph(on) { this._reflect('hide-graph', !!on); }
+
+  /** Switch layout to match the `mode` attribute. */
+  _applyMode(mode) {
+    const container = this.shadowRoot.querySelector('.quad-form-container');
+    if (!container) {
+      // not rendered yet: render() and connectedCallback pick it up
+      this.tinyMode = mode === 'tiny';
+      this.nanoMode = mode === 'nano';
+      return;
+    }
+    this._closeCompletions();
+    if (mode === this.mode) return;
+    if (mode === 'nano') {
+      this.toggleNanoMode();
+    } else if (mode === 'tiny') {
+      this.toggleTinyMode();
+    } else {
+      // back to FULL — from TINY, or from NANO, which has no way out
+      this.tinyMode = false;
+      this.nanoMode = false;
+      container.setAttribute('data-mode', 'full');
+    }
+    this.validate();
+  }
+
+  /**
+   * readonly: the quad can be read and copied but not changed — text
+   * controls go read-only, menus and pickers disabled, the action
+   * buttons hidden (CSS). disabled (or a disabled fieldset around us):
+   * the whole form is inert.
+   */
+  _syncInteractivity() {
+    const container = this.shadowRoot.querySelector('.quad-form-container');
+    if (!container) return;
+    const readOnly = this.readOnly;
+    container.inert = this.disabled || this._formDisabled;
+    for (const el of this.shadowRoot.querySelectorAll('.quad-form-container input, .quad-form-container textarea')) {
+      el.readOnly = readOnly;
+    }
+    for (const el of this.shadowRoot.querySelectorAll('.quad-form-container select, .quad-form-container quad-picker')) {
+      el.disabled = readOnly;
+    }
+  }
+
+  /** Neither edits nor submits are accepted. */
+  _isLocked() {
+    return this.readOnly || this.disabled || !!this._formDisabled;
+  }
+
+  /** A disabled <fieldset> (or form) around us. */
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    this._syncInteractivity();
+  }
+
+  /**
+   * Serialization attached to every quad-submitted detail as
+   * `serialized` (alongside `format`): 'nquads' | 'trig' | 'turtle' |
+   * 'jsonld'. Unset (the default), the detail is the bare flat quad.
+   * The `format` attribute works too.
+   */
+  get format() { return this._format ?? this.getAttribute('format'); }
+  set format(value) {
+    if (value && !SERIALIZE_FORMATS.has(value)) {
+      throw new Error(`Unknown serialization format: ${value}`);
+    }
+    this._format = value || null;
+  }
+
+  /**
+   * Opt-in: handleSubmit rewrites a numeric, boolean, date/time or
+   * duration object to its XSD canonical form (+042 → 42, 1 → true,
+   * dateTimes to UTC); the event detail keeps the typed value as
+   * `originalObject`. The `canonicalize-literals` attribute works too.
+   */
+  get canonicalizeLiterals() {
+    return this._canonicalizeLiterals ?? this.hasAttribute('canonicalize-literals');
+  }
+  set canonicalizeLiterals(on) { this._canonicalizeLiterals = !!on; }
+
+  /**
+   * Language tag prefilled whenever the object becomes a text literal
+   * — set once (or via the `default-language` attribute) for a page
+   * written in one language.
+   */
+  get defaultLanguage() {
+    const tag = this._defaultLanguage ?? this.getAttribute('default-language') ?? '';
+    return isWellFormedLanguageTag(tag) ? normalizeLanguageTag(tag) : '';
+  }
+  set defaultLanguage(tag) { this._defaultLanguage = tag || ''; }
+
+  /**
+   * How the quad rides in the owning <form>'s FormData under `name`:
+   * 'nquads' (the default) or 'json' (the flat quad). The
+   * `value-format` attribute works too.
+   */
+  get valueFormat() {
+    return this._valueFormat ?? this.getAttribute('value-format') ?? 'nquads';
+  }
+  set valueFormat(value) {
+    if (value && !FORM_VALUE_FORMATS.has(value)) {
+      throw new Error(`Unknown form value format: ${value}`);
+    }
+    this._valueFormat = value || null;
+    this.validate();
+  }
+
+  // Form-associated element surface, as on native controls
+  get form() { return this._internals?.form ?? null; }
+  get name() { return this.getAttribute('name'); }
+  set name(value) { this.setAttribute('name', value); }
+  get type() { return this.localName; }
+  get validity() { return this._internals?.validity; }
+  get validationMessage() { return this._internals?.validationMessage ?? ''; }
+  get willValidate() { return this._internals?.willValidate ?? false; }
+  checkValidity() { return this._internals?.checkValidity() ?? this.validate(); }
+  reportValidity() { return this._internals?.reportValidity() ?? this.validate(); }
+
+  /** The owning form was reset: back to a clear form. */
+  formResetCallback() {
+    this.clear();
+  }
+
+  /** Session history / autofill restore: reload the saved quad. */
+  formStateRestoreCallback(state) {
+    try {
+      const { quad, literal } = JSON.parse(state);
+      this._loadQuad(quad, { literal });
+    } catch {
+      // not a state we saved — leave the form as it is
+    }
+  }
+
+  /**
+   * Hand validate()'s verdict to the owning form: the quad as the form
+   * value (null while invalid) and the first error as the validity
+   * message, anchored on the field it names. `built` is a {quad,
+   * literal} already at hand; otherwise the fields are built here.
+   */
+  _syncFormValue(errors, built = null) {
+    if (!this._internals?.setFormValue) return;
+    // kept for handleSubmit, which validates first and reuses it
+    this._built = built ?? { quad: this.buildQuad(), literal: this._objectIsLiteral() };
+    const { quad, literal } = this._built;
+    const value = errors.length ? null
+      : this.valueFormat === 'json' ? JSON.stringify(quad)
+      : this.toNQuads(quad, { literal });
+    this._internals.setFormValue(value, JSON.stringify({ quad, literal }));
+
+    if (!errors.length) {
+      this._internals.setValidity({});
+      return;
+    }
+    const [message] = errors;
+    const field = ['subject', 'predicate', 'object', 'graph']
+      .find((f) => message.toLowerCase().startsWith(f));
+    const anchor = this.shadowRoot.getElementById(
+      field === 'graph' ? 'graph-path-input'
+        : message.startsWith('Language') ? 'language-input'
+        : `${field ?? 'object'}-input`);
+    const flags = message.endsWith('is required')
+      ? { valueMissing: true } : { customError: true };
+    this._internals.setValidity(flags, message, anchor ?? undefined);
+  }
+
+  get batchMode() { return this._batchMode; }
+  set batchMode(on) { this._reflect('batch', !!on); }
+
+  /** The existing quad being edited, or null. */
+  get editingQuad() { return this._editing?.quad ?? null; }
+
+  /** The staged quads, in commit order (a copy). */
+  get stagedQuads() { return this._staged.map((e) => e.quad); }
+
   getGraphPrefix() {
-    const identity = this._currentIdentity || '';
+    const identity = this._builder.identity || '';
     if (!identity) {
       if (this.graphMentalSpace === 'mntl:publ') {
         return 'mntl:publ';
@@ -396,79 +2093,22 @@ class QuadFormWC extends HTMLElement {
   }
   
   getPickerValues(field) {
-    if (field === 'predicate') {
-      return this.predicateOptions.map((o) => o.value);
-    }
-    if (field === 'subject') return this.subjectOptions.map((o) => o.value);
-    if (field === 'object') return this.objectOptions.map((o) => o.value);
-    return [];
+    return this._pickerOptions(field).map((o) => o.value);
   }
 
   /**
-   * Validate a field value based on its type
-   *
-   * Supports three kinds of identifiers:
-   * 1. URNs - scheme:namespace-specific-string (e.g., trpl:abc123, mntl:publ/scratch)
-   * 2. URIs - scheme:hier-part (e.g., http://example.org/path)
-   * 3. CURIEs - prefix:localName where prefix is defined (e.g., foaf:knows)
+   * Validate a field value based on its type (see
+   * QuadBuilder#validateTerm) — a date/time control's value once its
+   * seconds are completed.
    *
    * @param {string} field - Field name (subject, predicate, object)
    * @param {string} value - Field value to validate
-   * @param {string} type - Expected type ('uri', 'qname', 'string', etc.)
+   * @param {string} type - Expected type ('uri', 'qname', 'string', or
+   *   a datatype such as 'xsd:integer' — see LEXICAL_SPACES)
    * @returns {boolean} True if valid
    */
   validateField(field, value, type) {
-    if (!value || value.trim() === '') {
-      return false;
-    }
-    
-    if (type === 'uri' || type === 'qname') {
-      const colonIndex = value.indexOf(':');
-      
-      // Must contain a colon to be a valid identifier
-      if (colonIndex <= 0) {
-        return false;
-      }
-      
-      const scheme = value.substring(0, colonIndex).toLowerCase();
-      const nss = value.substring(colonIndex + 1); // Namespace Specific String or localName
-      
-      // Empty NSS/localName is invalid
-      if (nss.length === 0) {
-        return false;
-      }
-      
-      // MMM URN schemes - compact form (without urn:mmm: prefix)
-      // These are complete identifiers used internally in MMM
-      if (MMM_URN_SCHEMES.has(scheme)) {
-        return true;
-      }
-      
-      // Standard URI/URN schemes - recognized by IETF/W3C
-      if (STANDARD_SCHEMES.has(scheme)) {
-        return true;
-      }
-      
-      // Not a known URN/URI scheme, so it must be a CURIE
-      // Check if the prefix is defined in the prefix table
-      if (this._prefixes.hasOwnProperty(scheme)) {
-        // Validate CURIE localName format: must start with letter/underscore
-        // and contain only word characters and hyphens
-        return /^[a-zA-Z_][\w-]*$/.test(nss);
-      }
-      
-      // Unknown scheme and not a defined CURIE prefix - invalid
-      return false;
-      
-    } else if (type === 'string') {
-      // Plain string literals - always valid if non-empty
-      return true;
-      
-    } else {
-      // Other types (xsd:integer, xsd:date, etc.) - accept any non-empty value
-      // The HTML5 input type constraints will handle validation
-      return true;
-    }
+    return this._builder.validateTerm(completeHtml5Lexical(type, value), type);
   }
   
   updateFieldValidation() {
@@ -483,7 +2123,7 @@ class QuadFormWC extends HTMLElement {
       
       if (activeInput) {
         const type = this.fieldTypes.object;
-        const value = activeInput.value;
+        const value = this._controlValue(activeInput);
         const isValid = this.validateField('object', value, type);
         this.fieldValidity.object = isValid;
         
@@ -507,8 +2147,10 @@ class QuadFormWC extends HTMLElement {
         }
         
         if (input && !input.classList.contains('hidden')) {
-          const type = this.tinyFieldTypes[field];
-          const value = input.value;
+          // a TINY 'literal' object is checked against its datatype
+          const type = field === 'object' && this.tinyFieldTypes.object === 'literal'
+            ? this.objectDatatype : this.tinyFieldTypes[field];
+          const value = this._controlValue(input);
           const isValid = this.validateField(field, value, type);
           this.fieldValidity[field] = isValid;
           
@@ -525,7 +2167,7 @@ class QuadFormWC extends HTMLElement {
         const input = this.shadowRoot.getElementById(`${field}-input`);
         if (input && !input.classList.contains('hidden')) {
           const type = this.fieldTypes[field];
-          const value = input.value;
+          const value = this._controlValue(input);
           const isValid = this.validateField(field, value, type);
           this.fieldValidity[field] = isValid;
           
@@ -551,21 +2193,33 @@ class QuadFormWC extends HTMLElement {
         }
       }
     }
+
+    this._updateLanguageValidation();
   }
   
+  /** A control's value — an xsd:boolean checkbox reads true/false. */
+  _controlValue(el) {
+    return el.type === 'checkbox' ? String(el.checked) : el.value;
+  }
+
+  _updateLanguageValidation() {
+    const input = this.shadowRoot.getElementById('language-input');
+    if (!input) return;
+    const tag = this.objectLanguage;
+    input.style.backgroundColor = !tag ? ''
+      : isWellFormedLanguageTag(tag) ? '#e8f5e9' : '#ffebee';
+  }
+
   toggleNanoMode() {
     const container = this.shadowRoot.querySelector('.quad-form-container');
     
     if (!this.nanoMode) {
       // Entering nano mode
-      this.nanoMode = true;
-      this.tinyMode = false;
-      container.setAttribute('data-mode', 'nano');
-      
-      // Set default values for hidden fields if not already set
-      if (!this.fieldValues.subject) this.fieldValues.subject = 'ex:DefaultSubject';
-      if (!this.fieldValues.predicate) this.fieldValues.predicate = 'rdfs:comment';
-      if (!this.fieldValues.graph) this.fieldValues.graph = this._defaultGraph;
+      this.nanoMode = true;
+      this.tinyMode = false;
+      container.setAttribute('data-mode', 'nano');
+      this._fillNanoDefaults();
+      this._reflect('mode', 'nano');
       
       setTimeout(() => {
         const objectInput = this.shadowRoot.getElementById('object-input');
@@ -577,6 +2231,13 @@ class QuadFormWC extends HTMLElement {
     }
     // Note: Once in nano mode, can't go back (no UI controls visible)
   }
+
+  /** Set default values for NANO's hidden fields if not already set */
+  _fillNanoDefaults() {
+    if (!this.fieldValues.subject) this.fieldValues.subject = 'ex:DefaultSubject';
+    if (!this.fieldValues.predicate) this.fieldValues.predicate = 'rdfs:comment';
+    if (!this.fieldValues.graph) this.fieldValues.graph = this._defaultGraph;
+  }
   
   getObjectTinyType() {
     // Determine tiny type for object based on full mode type
@@ -584,6 +2245,8 @@ class QuadFormWC extends HTMLElement {
     
     if (fullType === 'uri') return 'uri';
     if (fullType === 'qname') return 'qname';
+    if (fullType === 'blank') return 'blank';
+    if (fullType === 'triple') return 'triple';
     if (fullType === 'xsd:string') return 'string';
     
     // All other datatypes (xsd:dateTime, xsd:integer, etc) are literals with no decorators
@@ -612,12 +2275,13 @@ class QuadFormWC extends HTMLElement {
       
       // Sync field types from full mode
       this.tinyFieldTypes = {
-        subject: this.fieldTypes.subject === 'uri' ? 'uri' : 'qname',
+        subject: ['uri', 'blank', 'triple'].includes(this.fieldTypes.subject) ? this.fieldTypes.subject : 'qname',
         predicate: this.fieldTypes.predicate === 'uri' ? 'uri' : 'qname',
         object: this.getObjectTinyType()
       };
       
       container.setAttribute('data-mode', 'tiny');
+      this._reflect('mode', 'tiny');
       
       // Sync textarea/input visibility for object field
       const objectInput = this.shadowRoot.getElementById('object-input');
@@ -657,6 +2321,7 @@ class QuadFormWC extends HTMLElement {
       // Exiting tiny mode
       this.tinyMode = false;
       container.setAttribute('data-mode', 'full');
+      this._reflect('mode', 'full');
       
       setTimeout(() => {
         const firstInput = this.shadowRoot.getElementById('subject-input');
@@ -696,7 +2361,8 @@ class QuadFormWC extends HTMLElement {
         [data-mode="nano"] .graph-field,
         [data-mode="nano"] .tiny-decorator,
         [data-mode="nano"] .tiny-period,
-        [data-mode="nano"] .form-actions {
+        [data-mode="nano"] .form-actions,
+        [data-mode="nano"] .batch-staging {
           display: none;
         }
         
@@ -724,6 +2390,7 @@ class QuadFormWC extends HTMLElement {
         [data-mode="tiny"] .submit-btn,
         [data-mode="tiny"] .tiny-btn,
         [data-mode="tiny"] .nano-btn,
+        [data-mode="tiny"] .batch-btn,
         [data-mode="tiny"] .field-select {
           display: none;
         }
@@ -913,7 +2580,7 @@ class QuadFormWC extends HTMLElement {
         }
         
         .language-input {
-          width: 35px;
+          width: 90px;
           padding: 6px;
           border: 1px solid #ddd;
           border-radius: 3px;
@@ -1014,6 +2681,68 @@ class QuadFormWC extends HTMLElement {
           display: none !important;
         }
         
+        /* Suggestions under a field input (see _openCompletions) */
+        .field-group { position: relative; }
+        .completion-listbox {
+          position: absolute;
+          top: 100%;
+          left: 0;
+          z-index: 6;
+          min-width: 16em;
+          max-width: 32em;
+          max-height: 14em;
+          overflow-y: auto;
+          margin: 2px 0 0;
+          padding: 2px 0;
+          list-style: none;
+          background: white;
+          border: 1px solid #ccc;
+          border-radius: 3px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+          font-size: 13px;
+        }
+        .completion-listbox [role="option"] {
+          padding: 3px 8px;
+          cursor: pointer;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        .completion-listbox [role="option"]:hover {
+          background: #f0f4f8;
+        }
+        .completion-listbox [aria-selected="true"] {
+          background: #e3f2fd;
+        }
+        .completion-listbox mark {
+          background: none;
+          color: inherit;
+          font-weight: bold;
+        }
+        .completion-label {
+          margin-left: 8px;
+          color: #888;
+        }
+        
+        /* A quoted triple << s p o >> reads as code */
+        .field-input.quoted {
+          font-family: monospace;
+          font-size: 13px;
+        }
+        
+        /* SHACL results on the object (see loadShapes) */
+        .shacl-violation {
+          box-shadow: inset 0 0 0 2px #c62828;
+        }
+        .shacl-warning {
+          box-shadow: inset 0 0 0 2px #f9a825;
+        }
+        
+        /* the object's type disagrees with the predicate's rdfs:range */
+        .type-select-dropdown.range-mismatch {
+          outline: 2px solid #f9a825;
+        }
+        
         /* Tiny mode decorators */
         .tiny-decorator {
           font-weight: 900;
@@ -1054,6 +2783,23 @@ class QuadFormWC extends HTMLElement {
         :host([hide-graph]) .graph-field {
           display: none !important;
         }
+        /* readonly: nothing that would change or send the quad */
+        :host([readonly]) .tiny-clear,
+        :host([readonly]) .batch-btn,
+        :host([readonly]) .clear-btn,
+        :host([readonly]) .cancel-edit-btn,
+        :host([readonly]) .retract-btn,
+        :host([readonly]) .submit-btn,
+        :host([readonly]) .submit-btn-tiny,
+        :host([readonly]) .retry-btn,
+        :host([readonly]) .batch-staging button {
+          display: none !important;
+        }
+        /* disabled: greyed out and inert (see _syncInteractivity) */
+        :host([disabled]) .quad-form-container,
+        :host(:disabled) .quad-form-container {
+          opacity: 0.5;
+        }
         /* compact: the whole sentence on ONE line — the container
            chrome drops (the host supplies the card), the inputs flex
            and ellipsize. The say-line's mini-face geometry. */
@@ -1149,7 +2895,8 @@ class QuadFormWC extends HTMLElement {
           border-top: 2px solid #e0e0e0;
         }
         
-        .submit-btn, .submit-btn-tiny, .clear-btn, .tiny-btn, .form-btn, .nano-btn {
+        .submit-btn, .submit-btn-tiny, .clear-btn, .tiny-btn, .form-btn, .nano-btn, .batch-btn,
+        .retract-btn, .cancel-edit-btn {
           padding: 10px 20px;
           border: none;
           border-radius: 3px;
@@ -1215,6 +2962,180 @@ class QuadFormWC extends HTMLElement {
           background: #F57C00;
         }
         
+        .batch-btn {
+          background: #9c27b0;
+          color: white;
+        }
+
+        .batch-btn:hover {
+          background: #7b1fa2;
+        }
+
+        .batch-btn.active {
+          box-shadow: inset 0 0 0 2px #4a148c;
+        }
+
+        /* Batch staging list — below the actions in FULL, a full-width
+           row under the sentence in TINY */
+        .batch-staging {
+          margin-top: 15px;
+          border: 1px dashed #9c27b0;
+          border-radius: 3px;
+          padding: 8px;
+          font-size: 12px;
+        }
+
+        [data-mode="tiny"] .batch-staging {
+          flex-basis: 100%;
+        }
+
+        .staged-header {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-weight: bold;
+          color: #7b1fa2;
+        }
+
+        .staged-list {
+          margin: 6px 0 0 0;
+          padding-left: 24px;
+        }
+
+        .staged-item {
+          padding: 3px 0;
+          border-bottom: 1px solid #f3e5f5;
+          word-break: break-all;
+        }
+
+        .staged-item.editing {
+          background: #f3e5f5;
+        }
+
+        .staged-graph {
+          color: #999;
+        }
+
+        .staged-item button, .staged-header button {
+          border: 1px solid #ddd;
+          background: white;
+          border-radius: 3px;
+          cursor: pointer;
+          font-family: monospace;
+          font-size: 11px;
+          padding: 1px 6px;
+          margin-left: 4px;
+        }
+
+        .staged-header .commit-all-btn {
+          background: #4CAF50;
+          border-color: #4CAF50;
+          color: white;
+        }
+
+        .staged-header .commit-all-btn:disabled {
+          background: #ccc;
+          border-color: #ccc;
+          cursor: not-allowed;
+        }
+
+        .retract-btn {
+          background: #795548;
+          color: white;
+        }
+
+        .retract-btn:hover {
+          background: #5d4037;
+        }
+
+        .cancel-edit-btn {
+          background: #9e9e9e;
+          color: white;
+        }
+
+        /* Submission lifecycle (see submitState): a spinner on Submit
+           while pending, then the outcome under the actions */
+        .submit-btn.pending, .submit-btn-tiny.pending {
+          position: relative;
+          color: transparent;
+        }
+
+        .submit-btn.pending::after, .submit-btn-tiny.pending::after {
+          content: '';
+          position: absolute;
+          top: 50%;
+          left: 50%;
+          width: 14px;
+          height: 14px;
+          margin: -9px 0 0 -9px;
+          border: 2px solid white;
+          border-right-color: transparent;
+          border-radius: 50%;
+          animation: quad-form-spin 0.8s linear infinite;
+        }
+
+        @keyframes quad-form-spin {
+          to { transform: rotate(360deg); }
+        }
+
+        .submit-status {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          margin-top: 10px;
+          padding: 6px 10px;
+          border-radius: 3px;
+          font-family: monospace;
+          font-size: 12px;
+        }
+
+        .submit-status.succeeded {
+          background: #e8f5e9;
+          border: 1px solid #a5d6a7;
+          color: #2e7d32;
+        }
+
+        .submit-status.failed {
+          background: #ffebee;
+          border: 1px solid #ef9a9a;
+          color: #c62828;
+        }
+
+        .submit-status.queued {
+          background: #fff8e1;
+          border: 1px solid #ffe082;
+          color: #8d6e00;
+        }
+
+        .submit-status .spacer {
+          flex: 1;
+        }
+
+        .retry-btn {
+          padding: 4px 12px;
+          border: 1px solid #c62828;
+          border-radius: 3px;
+          background: white;
+          color: #c62828;
+          cursor: pointer;
+          font-family: monospace;
+          font-size: 12px;
+          font-weight: bold;
+        }
+
+        .retry-btn:hover {
+          background: #c62828;
+          color: white;
+        }
+
+        [data-mode="nano"] .submit-status {
+          display: none;
+        }
+
+        .cancel-edit-btn:hover {
+          background: #757575;
+        }
+
         .clear-btn {
           background: #f44336;
           color: white;
@@ -1252,6 +3173,20 @@ class QuadFormWC extends HTMLElement {
           position: relative;
         }
         
+        .prefix-conflicts {
+          margin: 0 40px 15px 0;
+          padding: 8px 12px;
+          background: #fff8e1;
+          border: 1px solid #f9a825;
+          border-radius: 4px;
+          font-size: 12px;
+          color: #6d4c00;
+        }
+        .prefix-conflicts ul {
+          margin: 4px 0 0;
+          padding-left: 18px;
+        }
+        
         .close-prefixes {
           position: absolute;
           top: 10px;
@@ -1312,6 +3247,7 @@ class QuadFormWC extends HTMLElement {
         <div class="prefixes-overlay" id="prefixes-overlay">
           <div class="prefixes-container">
             <button class="close-prefixes" id="close-prefixes">✕</button>
+            <div class="prefix-conflicts hidden" id="prefix-conflicts" role="alert"></div>
             <div id="prefixes-form-container"></div>
           </div>
         </div>
@@ -1329,7 +3265,7 @@ class QuadFormWC extends HTMLElement {
           <h3>Say It</h3>
           <div class="attribution">
             <span><strong>at:</strong> <span id="at-value">—</span></span>
-            <span><strong>by:</strong> <span id="by-value">${this._currentIdentity || 'not logged in'}</span></span>
+            <span><strong>by:</strong> <span id="by-value">${this._builder.identity || 'not logged in'}</span></span>
           </div>
           <button class="prefixes-btn" id="prefixes-btn">Prefixes</button>
         </div>
@@ -1349,15 +3285,20 @@ class QuadFormWC extends HTMLElement {
                  class="field-input ${this.fieldControls.subject === 'select' ? 'hidden' : ''}" 
                  id="subject-input"
                  data-field="subject"
+                 role="combobox"
+                 aria-autocomplete="list"
+                 aria-expanded="false"
+                 aria-controls="subject-listbox"
+                 autocomplete="off"
                  placeholder="${this.getPlaceholder('subject', this.fieldTypes.subject)}"
                  value="${this.fieldValues.subject}">
+          <ul class="completion-listbox hidden" id="subject-listbox" role="listbox"
+              aria-label="Subject suggestions"></ul>
           <span class="tiny-decorator subject-right">&gt;</span>
-          <select class="field-select ${this.fieldControls.subject === 'input' ? 'hidden' : ''}" 
-                  id="subject-select"
-                  data-field="subject">
-            <option value="">Select Subject...</option>
-            ${this.renderSelectOptions('subject')}
-          </select>
+          <quad-picker class="field-select ${this.fieldControls.subject === 'input' ? 'hidden' : ''}"
+                       id="subject-select"
+                       data-field="subject"
+                       placeholder="Select Subject..."></quad-picker>
         </div>
         
         <!-- Predicate field -->
@@ -1375,15 +3316,20 @@ class QuadFormWC extends HTMLElement {
                  class="field-input ${this.fieldControls.predicate === 'select' ? 'hidden' : ''}" 
                  id="predicate-input"
                  data-field="predicate"
+                 role="combobox"
+                 aria-autocomplete="list"
+                 aria-expanded="false"
+                 aria-controls="predicate-listbox"
+                 autocomplete="off"
                  placeholder="${this.getPlaceholder('predicate', this.fieldTypes.predicate)}"
                  value="${this.fieldValues.predicate}">
+          <ul class="completion-listbox hidden" id="predicate-listbox" role="listbox"
+              aria-label="Predicate suggestions"></ul>
           <span class="tiny-decorator predicate-right"></span>
-          <select class="field-select ${this.fieldControls.predicate === 'input' ? 'hidden' : ''}" 
-                  id="predicate-select"
-                  data-field="predicate">
-            <option value="">Select Predicate...</option>
-            ${this.renderSelectOptions('predicate')}
-          </select>
+          <quad-picker class="field-select ${this.fieldControls.predicate === 'input' ? 'hidden' : ''}"
+                       id="predicate-select"
+                       data-field="predicate"
+                       placeholder="Select Predicate..."></quad-picker>
         </div>
         
         <!-- Object field -->
@@ -1396,11 +3342,14 @@ class QuadFormWC extends HTMLElement {
                    class="language-input" 
                    id="language-input"
                    placeholder="en"
-                   title="Language tag (e.g., en, fr, es)"
-                   maxlength="3"
-                   pattern="^([a-z]{2}|[a-z]{3})?$"
+                   title="Language tag (BCP 47, e.g. en, en-GB, zh-Hant-TW)"
+                   list="language-suggestions"
+                   autocomplete="off"
                    ${!this.objectUsesTextarea ? 'disabled' : ''}
                    value="${this.objectLanguage}">
+            <datalist id="language-suggestions">
+              ${COMMON_LANGUAGE_TAGS.map((tag) => `<option value="${tag}"></option>`).join('')}
+            </datalist>
             <button type="button" class="control-toggle" data-field="object">
               ${this.fieldControls.object === 'input' ? '<strong>input</strong>/picker' : 'input/<strong>picker</strong>'}
             </button>
@@ -1411,20 +3360,25 @@ class QuadFormWC extends HTMLElement {
                    class="field-input ${this.fieldControls.object === 'select' || this.objectUsesTextarea ? 'hidden' : ''}" 
                    id="object-input"
                    data-field="object"
+                   role="combobox"
+                   aria-autocomplete="list"
+                   aria-expanded="false"
+                   aria-controls="object-listbox"
+                   autocomplete="off"
                    placeholder="${this.getPlaceholder('object', this.fieldTypes.object)}"
                    value="${this.fieldValues.object}">
+            <ul class="completion-listbox hidden" id="object-listbox" role="listbox"
+                aria-label="Object suggestions"></ul>
             <textarea class="field-textarea ${!this.objectUsesTextarea ? 'hidden' : ''}"
                       id="object-textarea"
                       data-field="object"
                       placeholder="Enter text content...">${this.fieldValues.object}</textarea>
           </div>
           <span class="tiny-decorator object-right">&gt;</span>
-          <select class="field-select ${this.fieldControls.object === 'input' ? 'hidden' : ''}" 
-                  id="object-select"
-                  data-field="object">
-            <option value="">Select Object...</option>
-            ${this.renderSelectOptions('object')}
-          </select>
+          <quad-picker class="field-select ${this.fieldControls.object === 'input' ? 'hidden' : ''}"
+                       id="object-select"
+                       data-field="object"
+                       placeholder="Select Object..."></quad-picker>
         </div>
         
         <span class="tiny-period">.</span>
@@ -1444,10 +3398,33 @@ class QuadFormWC extends HTMLElement {
           <button type="button" class="tiny-btn" id="tiny-btn">Tiny</button>
           <button type="button" class="form-btn" id="form-btn">Form</button>
           <button type="button" class="nano-btn" id="nano-btn">Nano</button>
+          <button type="button" class="batch-btn ${this._batchMode ? 'active' : ''}" id="batch-btn">Batch</button>
           <button type="button" class="clear-btn" id="clear-btn">Clear</button>
-          <button type="submit" class="submit-btn" id="submit-btn">Submit Quad</button>
+          <button type="button" class="cancel-edit-btn hidden" id="cancel-edit-btn"
+                  title="stop editing — Submit adds again">Cancel edit</button>
+          <button type="button" class="retract-btn hidden" id="retract-btn"
+                  title="remove the quad being edited">Retract</button>
+          <button type="submit" class="submit-btn" id="submit-btn">${this._batchMode ? 'Stage Quad' : 'Submit Quad'}</button>
           <button type="button" class="submit-btn-tiny" id="submit-btn-tiny">+</button>
         </div>
+
+        <!-- Submission outcome (see submitState) -->
+        <div class="submit-status hidden" id="submit-status" role="status" aria-live="polite">
+          <span id="submit-status-text"></span>
+          <div class="spacer"></div>
+          <button type="button" class="retry-btn hidden" id="retry-btn">Retry</button>
+        </div>
+
+        <!-- Batch staging list (visible: batch mode, full and tiny) -->
+        <div class="batch-staging ${this._batchMode ? '' : 'hidden'}" id="batch-staging">
+          <div class="staged-header">
+            <span id="staged-count">Staged (0)</span>
+            <div class="spacer"></div>
+            <button type="button" class="discard-all-btn" id="discard-all-btn">Discard all</button>
+            <button type="button" class="commit-all-btn" id="commit-all-btn" disabled>Commit all</button>
+          </div>
+          <ol class="staged-list" id="staged-list"></ol>
+        </div>
       </div>
     `;
   }
@@ -1480,7 +3457,7 @@ class QuadFormWC extends HTMLElement {
   }  
   
   renderGraphMentalSpaceSelect() {
-    const identity = this._currentIdentity || '{identity}';
+    const identity = this._builder.identity || '{identity}';
     return `
       <select class="type-select-dropdown" id="graph-mental-space-select">
         ${MENTAL_SPACE_TYPES.map(type => {
@@ -1494,10 +3471,13 @@ class QuadFormWC extends HTMLElement {
   }
   
   renderStandardTypeOptions(fieldName, currentType) {
+    // a predicate is never a blank node
     return `
       <select class="type-select-dropdown" data-field="${fieldName}">
         <option value="qname" ${currentType === 'qname' ? 'selected' : ''}>QName</option>
         <option value="uri" ${currentType === 'uri' ? 'selected' : ''}>URI</option>
+        ${fieldName === 'subject' ? `<option value="blank" ${currentType === 'blank' ? 'selected' : ''}>Blank</option>
+        <option value="triple" ${currentType === 'triple' ? 'selected' : ''}>Triple</option>` : ''}
       </select>
     `;
   }
@@ -1507,6 +3487,8 @@ class QuadFormWC extends HTMLElement {
       <select class="type-select-dropdown" data-field="object" id="object-type-select">
         <option value="qname" ${currentType === 'qname' ? 'selected' : ''}>QName</option>
         <option value="uri" ${currentType === 'uri' ? 'selected' : ''}>URI</option>
+        <option value="blank" ${currentType === 'blank' ? 'selected' : ''}>Blank</option>
+        <option value="triple" ${currentType === 'triple' ? 'selected' : ''}>Triple</option>
         <optgroup label="XSD types">
           <option value="xsd:string" ${currentType === 'xsd:string' ? 'selected' : ''}>xsd:string</option>
           <option value="xsd:integer" ${currentType === 'xsd:integer' ? 'selected' : ''}>xsd:integer</option>
@@ -1535,15 +3517,6 @@ class QuadFormWC extends HTMLElement {
     `;
   }
   
-  renderSelectOptions(fieldName) {
-    const opts = fieldName === 'predicate' ? this.predicateOptions
-      : fieldName === 'subject' ? this.subjectOptions
-      : fieldName === 'object' ? this.objectOptions : [];
-    return opts.map((o) =>
-      `<option value="${QuadFormWC._escOpt(o.value)}">` +
-      `${QuadFormWC._escOpt(o.label)}</option>`).join('');
-  }
-  
   getPlaceholder(fieldName, fieldType) {
     // For datatypes, return appropriate placeholder
     if (fieldType && fieldType.startsWith('xsd:')) {
@@ -1573,7 +3546,9 @@ class QuadFormWC extends HTMLElement {
     const placeholders = {
       subject: {
         qname: 'ex:Alice',
-        uri: 'http://example.org/Alice'
+        uri: 'http://example.org/Alice',
+        blank: '_:b1',
+        triple: '<< ex:Alice ex:knows ex:Bob >>'
       },
       predicate: {
         qname: 'foaf:knows',
@@ -1581,7 +3556,9 @@ class QuadFormWC extends HTMLElement {
       },
       object: {
         qname: 'ex:Bob',
-        uri: 'http://example.org/Bob'
+        uri: 'http://example.org/Bob',
+        blank: '_:b2',
+        triple: '<< ex:Bob ex:age 42 >>'
       }
     };
     return placeholders[fieldName]?.[fieldType] || '';
@@ -1596,17 +3573,17 @@ class QuadFormWC extends HTMLElement {
       try {
         const prefixesForm = document.createElement('prefixes-form');
         
-        // Listen for prefix events and update our internal _prefixes
+        // The form's changes are the user's edits to our table
         prefixesForm.addEventListener('prefix-added', (e) => {
-          this._prefixes[e.detail.prefix] = e.detail.expansion;
+          this._editPrefixes({ [e.detail.prefix]: e.detail.expansion });
         });
         
         prefixesForm.addEventListener('prefix-enabled', (e) => {
-          this._prefixes[e.detail.prefix] = e.detail.expansion;
+          this._editPrefixes({ [e.detail.prefix]: e.detail.expansion });
         });
         
         prefixesForm.addEventListener('prefix-disabled', (e) => {
-          delete this._prefixes[e.detail.prefix];
+          this._editPrefixes({}, [e.detail.prefix]);
         });
         
         container.innerHTML = '';
@@ -1627,10 +3604,10 @@ class QuadFormWC extends HTMLElement {
     container.innerHTML = `
     <h3 style="margin: 0 0 15px 0; color: #2196F3;">Current Prefixes</h3>
     <div class="prefix-list">
-      ${Object.entries(this._prefixes).map(([prefix, url]) => `
+      ${Object.entries(this._builder.prefixes).map(([prefix, url]) => `
       <div class="prefix-item">
-      <span class="prefix-name">${prefix}:</span>
-      <span class="prefix-url">${url}</span>
+      <span class="prefix-name">${QuadFormWC._escOpt(prefix)}:</span>
+      <span class="prefix-url">${QuadFormWC._escOpt(url)}</span>
       </div>
       `).join('')}
     </div>
@@ -1645,7 +3622,7 @@ class QuadFormWC extends HTMLElement {
     
     const formPrefixes = this._prefixesFormElement.getSelectedPrefixes();
     
-    for (const [prefix, expansion] of Object.entries(this._prefixes)) {
+    for (const [prefix, expansion] of Object.entries(this._builder.prefixes)) {
       if (!formPrefixes[prefix]) {
         this._prefixesFormElement.addPrefix(prefix, expansion);
       }
@@ -1680,6 +3657,49 @@ class QuadFormWC extends HTMLElement {
       submitBtnTiny.addEventListener('click', (e) => this.handleSubmit(e));
     }
 
+    // Edit mode: retract the loaded quad, or stop editing it
+    const retractBtn = this.shadowRoot.getElementById('retract-btn');
+    if (retractBtn) {
+      retractBtn.addEventListener('click', () => this.retract());
+    }
+
+    const cancelEditBtn = this.shadowRoot.getElementById('cancel-edit-btn');
+    if (cancelEditBtn) {
+      cancelEditBtn.addEventListener('click', () => this.cancelEdit());
+    }
+
+    // Batch mode toggle, and the staging list's own controls
+    const batchBtn = this.shadowRoot.getElementById('batch-btn');
+    if (batchBtn) {
+      batchBtn.addEventListener('click', () => {
+        this.batchMode = !this.batchMode;
+      });
+    }
+
+    const commitAllBtn = this.shadowRoot.getElementById('commit-all-btn');
+    if (commitAllBtn) {
+      commitAllBtn.addEventListener('click', () => this.commitAll());
+    }
+
+    this.shadowRoot.getElementById('retry-btn')
+      ?.addEventListener('click', () => this.retry());
+
+    const discardAllBtn = this.shadowRoot.getElementById('discard-all-btn');
+    if (discardAllBtn) {
+      discardAllBtn.addEventListener('click', () => this.clearStaged());
+    }
+
+    const stagedList = this.shadowRoot.getElementById('staged-list');
+    if (stagedList) {
+      stagedList.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const index = Number(btn.closest('.staged-item').dataset.index);
+        if (btn.dataset.action === 'edit') this.editStaged(index);
+        else if (btn.dataset.action === 'remove') this.unstage(index);
+      });
+    }
+
     // the TINY × (period-submit hosts): clear the sentence only
     const tinyClear = this.shadowRoot.querySelector('.tiny-clear');
     if (tinyClear) {
@@ -1725,21 +3745,27 @@ class QuadFormWC extends HTMLElement {
         input.addEventListener('input', (e) => {
           // touching a presumed prefill makes it definite
           this._clearPresumed(field);
-          this.fieldValues[field] = e.target.value;
+          const value = this._controlValue(e.target);
+          this.fieldValues[field] = value;
           this.updateFieldValidation();
           
           // Emit field-changed event
           this.dispatchEvent(new CustomEvent('field-changed', {
-            detail: { field, value: e.target.value },
+            detail: { field, value },
             bubbles: true,
             composed: true
           }));
           
           this.validate();
+          this._providerPages = null;
+          this._openCompletions(field);
         });
         
         // Tiny mode keyboard navigation
         input.addEventListener('keydown', (e) => {
+          // an open suggestion list has first claim on the key
+          if (this._handleCompletionKeydown(e, field)) return;
+
           const container = this.shadowRoot.querySelector('.quad-form-container');
           const mode = container?.dataset.mode;
 
@@ -1757,8 +3783,27 @@ class QuadFormWC extends HTMLElement {
           }
         });
         
+        // Pasting a whole statement into the subject distributes its
+        // terms over the form; anything else pastes as usual
+        if (field === 'subject') {
+          input.addEventListener('paste', (e) => {
+            const text = e.clipboardData?.getData('text/plain');
+            if (text && !this._isLocked() && this.fillFromStatement(text)) e.preventDefault();
+          });
+        }
+
+        // Suggestions: a press keeps focus in the input, a click takes it
+        const listbox = this.shadowRoot.getElementById(`${field}-listbox`);
+        listbox?.addEventListener('mousedown', (e) => e.preventDefault());
+        listbox?.addEventListener('click', (e) => {
+          const li = e.target.closest('[role="option"]');
+          const match = li && this._completion?.matches[Number(li.dataset.index)];
+          if (match) this._acceptCompletion(field, match.option);
+        });
+
         // Nano mode - blur triggers submit
         input.addEventListener('blur', (e) => {
+          this._closeCompletions();
           const container = this.shadowRoot.querySelector('.quad-form-container');
           const mode = container?.dataset.mode;
           
@@ -1833,13 +3878,14 @@ class QuadFormWC extends HTMLElement {
     const languageInput = this.shadowRoot.getElementById('language-input');
     if (languageInput) {
       languageInput.addEventListener('input', (e) => {
-        let value = e.target.value.replace(/^@/, '').toLowerCase();
-        if (value.length === 1) {
-          e.target.value = '';
-          this.objectLanguage = '';
-        } else {
-          this.objectLanguage = value;
-        }
+        this.objectLanguage = e.target.value.trim().replace(/^@/, '');
+        this._updateLanguageValidation();
+        this.validate();
+      });
+
+      // settle the conventional case once the user is done typing
+      languageInput.addEventListener('change', (e) => {
+        e.target.value = this.objectLanguage;
       });
     }
     
@@ -1958,31 +4004,34 @@ class QuadFormWC extends HTMLElement {
   }
   
   cycleTinyFieldType(field) {
+    if (this._isLocked()) return;
     const current = this.tinyFieldTypes[field];
     
     if (field === 'object') {
-      // Object cycles: qname -> uri -> string -> qname
+      // Object cycles: qname -> uri -> blank -> triple -> string -> qname
       if (current === 'qname') {
         this.tinyFieldTypes[field] = 'uri';
       } else if (current === 'uri') {
+        this.tinyFieldTypes[field] = 'blank';
+      } else if (current === 'blank') {
+        this.tinyFieldTypes[field] = 'triple';
+      } else if (current === 'triple') {
         this.tinyFieldTypes[field] = 'string';
       } else {
         this.tinyFieldTypes[field] = 'qname';
       }
+    } else if (field === 'subject') {
+      // Subject cycles: qname -> uri -> blank -> triple -> qname
+      this.tinyFieldTypes[field] = current === 'qname' ? 'uri'
+        : current === 'uri' ? 'blank' : current === 'blank' ? 'triple' : 'qname';
     } else {
-      // Subject/Predicate toggle: qname <-> uri
+      // Predicate toggle: qname <-> uri
       this.tinyFieldTypes[field] = current === 'qname' ? 'uri' : 'qname';
     }
     
     // Convert value if needed
     const currentValue = this.fieldValues[field];
-    if (currentValue) {
-      if (this.tinyFieldTypes[field] === 'uri' && current === 'qname') {
-        this.fieldValues[field] = this.expandQName(currentValue);
-      } else if (this.tinyFieldTypes[field] === 'qname' && current === 'uri') {
-        this.fieldValues[field] = this.contractUri(currentValue);
-      }
-    }
+    this.fieldValues[field] = this._convertForType(currentValue, current, this.tinyFieldTypes[field]);
     
     // Update decorators
     this.updateTinyDecorators();
@@ -1991,30 +4040,107 @@ class QuadFormWC extends HTMLElement {
     const input = this.shadowRoot.getElementById(`${field}-input`);
     if (input) {
       input.value = this.fieldValues[field];
+      input.classList.toggle('quoted', this.tinyFieldTypes[field] === 'triple');
       input.focus();
       this.updateFieldValidation();
     }
   }
   
+  /**
+   * A value carried across a type switch: CURIE ⇄ IRI, a fresh label
+   * into the Blank face, a term wrapped into the Triple face, and a
+   * label or triple dropped on the way out.
+   */
+  _convertForType(value, oldType, newType) {
+    // a term becomes the quoted triple's subject; the triple is dropped
+    if (newType === 'triple') return isQuotedText(value) || !value ? value : `<< ${value} >>`;
+    if (newType === 'blank') return isBlankLabel(value) ? value : this.mintBlankNode();
+    if (oldType === 'triple') return isQuotedText(value) ? '' : value;
+    if (oldType === 'blank') return isBlankLabel(value) ? '' : value;
+    if (!value) return value;
+    if (oldType === 'qname' && newType === 'uri') return this.expandQName(value);
+    if (oldType === 'uri' && newType === 'qname') return this.contractUri(value);
+    return value;
+  }
+
+  /** A fresh blank node label, unique for this page session. */
+  mintBlankNode() {
+    return this._builder.mintBlankNode();
+  }
+
   cycleTinyPicker(field, direction) {
-    const values = this.getPickerValues(field);
-    if (values.length === 0) return;
+    if (this._isLocked()) return;
+    if (this._completionProvider) return this._cycleProviderPicker(field, direction);
+    const options = this._pickerOptions(field);
+    if (options.length === 0) return;
     
     const currentIndex = this.tinyPickerIndices[field];
     let newIndex = currentIndex + direction;
     
     // Wrap around
-    if (newIndex < 0) newIndex = values.length - 1;
-    if (newIndex >= values.length) newIndex = 0;
+    if (newIndex < 0) newIndex = options.length - 1;
+    if (newIndex >= options.length) newIndex = 0;
     
+    const value = options[newIndex].value;
     this.tinyPickerIndices[field] = newIndex;
-    this.fieldValues[field] = values[newIndex];
+    this.fieldValues[field] = value;
     
     const input = this.shadowRoot.getElementById(`${field}-input`);
     if (input) {
-      input.value = values[newIndex];
+      input.value = value;
+      this.updateFieldValidation();
+    }
+    if (field === 'predicate') this._applyPredicateRange();
+  }
+  
+  /**
+   * TINY arrows with a completionProvider: step through its results
+   * for the text typed before the first arrow. The first arrow either
+   * way fetches the first page, walking off the end of those loaded
+   * the next; past the last result it wraps to the first, before the
+   * first to the last loaded.
+   */
+  async _cycleProviderPicker(field, direction) {
+    const input = this.shadowRoot.getElementById(`${field}-input`);
+    let pages = this._providerPages;
+    if (pages?.field !== field) {
+      pages = this._providerPages = {
+        field, text: (input?.value ?? '').trim(), values: [], index: -1, exhausted: false
+      };
+    }
+    let index = pages.index + direction;
+    if ((!pages.values.length || index >= pages.values.length) && !pages.exhausted) {
+      this._cancelProviderQuery();
+      const controller = new AbortController();
+      this._providerQuery = controller;
+      let results;
+      try {
+        results = await this._completionProvider(field, pages.text, {
+          signal: controller.signal, offset: pages.values.length, limit: COMPLETION_PAGE_SIZE
+        });
+      } catch (err) {
+        if (!controller.signal.aborted) console.warn('completionProvider failed:', err);
+        return;
+      }
+      // superseded by typing, another arrow, or a new provider
+      if (controller.signal.aborted || this._providerPages !== pages) return;
+      this._providerQuery = null;
+      const page = QuadFormWC._providerOptions(results).map((o) => o.value);
+      pages.values.push(...page);
+      if (page.length < COMPLETION_PAGE_SIZE) pages.exhausted = true;
+    }
+    if (!pages.values.length) return;
+    if (index < 0) index = pages.values.length - 1;
+    if (index >= pages.values.length) index = 0;
+    pages.index = index;
+
+    const value = pages.values[index];
+    this.fieldValues[field] = value;
+    if (input) {
+      input.value = value;
       this.updateFieldValidation();
     }
+    if (field === 'predicate') this._applyPredicateRange();
   }
   
   handleGraphPathChange(e) {
@@ -2082,20 +4208,26 @@ class QuadFormWC extends HTMLElement {
     const input = this.shadowRoot.getElementById(`${field}-input`);
     if (input) {
       input.placeholder = this.getPlaceholder(field, newType);
+      input.classList.toggle('quoted', newType === 'triple');
     }
     
-    // Convert value between QName and URI if switching between those modes
+    // The picker can't hold a quoted triple: flip to the input
+    if (newType === 'triple' && field !== 'object' && this.fieldControls[field] === 'select') {
+      this.fieldControls[field] = 'input';
+      const btn = this.shadowRoot
+        .querySelector(`.control-toggle[data-field="${field}"]`);
+      if (btn) btn.innerHTML = '<strong>input</strong>/picker';
+      input?.classList.remove('hidden');
+      this.shadowRoot.getElementById(`${field}-select`)?.classList.add('hidden');
+    }
+
+    // Convert value between QName, URI, Blank and Triple faces
     if (!field.includes('object') && input) {
       const currentValue = input.value || this.fieldValues[field];
-      
-      if (oldType === 'qname' && newType === 'uri') {
-        const expanded = this.expandQName(currentValue);
-        input.value = expanded;
-        this.fieldValues[field] = expanded;
-      } else if (oldType === 'uri' && newType === 'qname') {
-        const contracted = this.contractUri(currentValue);
-        input.value = contracted;
-        this.fieldValues[field] = contracted;
+      const converted = this._convertForType(currentValue, oldType, newType);
+      if (converted !== currentValue) {
+        input.value = converted;
+        this.fieldValues[field] = converted;
       }
     }
     
@@ -2108,14 +4240,9 @@ class QuadFormWC extends HTMLElement {
       // Get current value from whichever input is active
       const currentValue = objectInput?.value || objectTextarea?.value || this.fieldValues.object;
       
-      // Convert between QName and URI for object field if needed
-      let valueToUse = currentValue;
-      if (oldType === 'qname' && newType === 'uri') {
-        valueToUse = this.expandQName(currentValue);
-      } else if (oldType === 'uri' && newType === 'qname') {
-        valueToUse = this.contractUri(currentValue);
-      }
-      // For all other transitions (literal to literal), preserve the value as-is
+      // Convert between QName, URI, Blank and Triple for object field if
+      // needed; other transitions (literal to literal) preserve the value
+      const valueToUse = this._convertForType(currentValue, oldType, newType);
       
       // Update the internal state
       this.fieldValues.object = valueToUse;
@@ -2129,7 +4256,8 @@ class QuadFormWC extends HTMLElement {
       
       this.objectUsesTextarea = shouldUseTextarea;
 
-      const isQNameOrUri = newType === 'qname' || newType === 'uri';
+      // a blank node is a resource too: picker-capable, no datatype
+      const isQNameOrUri = newType === 'qname' || newType === 'uri' || newType === 'blank';
       const objectSelect = this.shadowRoot.getElementById('object-select');
 
       // A LITERAL type needs a typed control — the entity picker is
@@ -2156,6 +4284,11 @@ class QuadFormWC extends HTMLElement {
         if (languageInput) {
           languageInput.disabled = false;
         }
+        // default-language prefills a text literal's tag
+        if (!this.objectLanguage && this.defaultLanguage) {
+          this.objectLanguage = this.defaultLanguage;
+          if (languageInput) languageInput.value = this.objectLanguage;
+        }
       } else if (usePicker) {
         if (objectTextarea) objectTextarea.classList.add('hidden');
         if (objectInput) objectInput.classList.add('hidden');
@@ -2167,7 +4300,9 @@ class QuadFormWC extends HTMLElement {
         }
       }
       
-      if (isQNameOrUri) {
+      // a quoted triple is typed as text — the picker can't hold one
+      if (isQNameOrUri || newType === 'triple') {
+        if (objectInput && newType === 'triple') objectInput.type = 'text';
         if (languageInput) {
           languageInput.disabled = true;
           languageInput.value = '';
@@ -2235,25 +4370,67 @@ class QuadFormWC extends HTMLElement {
       // Special handling for numbers
       if (datatype === 'xsd:integer') {
         objectInput.step = '1';
-      } else if (datatype === 'xsd:decimal' || datatype === 'xsd:float' || datatype === 'xsd:double') {
+      } else if (datatype === 'xsd:decimal') {
         objectInput.step = 'any';
+      } else if (html5Type === 'checkbox') {
+        // the checkbox IS the value: carry the current one over
+        const value = this.fieldValues.object;
+        objectInput.checked = value === 'true' || value === '1';
+        this.fieldValues.object = String(objectInput.checked);
       }
-    } else if (datatype === 'xsd:base64Binary') {
-      objectInput.type = 'text';
-      objectInput.pattern = '^[A-Za-z0-9+/=]+$';
-    } else if (datatype === 'xsd:hexBinary') {
-      objectInput.type = 'text';
-      objectInput.pattern = '^[0-9A-Fa-f]+$';
     } else {
       objectInput.type = 'text';
+      // text controls hint the lexical space to the browser too —
+      // where the pattern survives the v-flag the browser compiles with
+      const source = LEXICAL_SPACES[datatype]?.pattern?.source.replace(/^\^|\$$/g, '');
+      try {
+        if (source) objectInput.pattern = new RegExp(source, 'v').source;
+      } catch {
+        // the lexicalError check still applies
+      }
     }
   }
   
   validate() {
+    const errors = this._validationErrors();
+    const valid = errors.length === 0;
+
+    // Update submit buttons
+    const submitBtn = this.shadowRoot.getElementById('submit-btn');
+    const submitBtnTiny = this.shadowRoot.getElementById('submit-btn-tiny');
+    const pending = this._submitState === 'pending';
+    if (submitBtn) submitBtn.disabled = !valid || pending;
+    if (submitBtnTiny) submitBtnTiny.disabled = !valid || pending;
+
+    this._syncFormValue(errors);
+
+    // a range mismatch warns but doesn't block; nor do SHACL
+    // results below sh:Violation (those are among the errors)
+    const warning = this._rangeWarning();
+    this._syncRangeWarning(warning);
+    const shacl = this._shaclResults();
+    this._syncShaclStyling(shacl);
+    const warnings = [
+      ...(warning ? [warning] : []),
+      ...shacl.filter((r) => r.severity !== 'Violation').map((r) => r.message)
+    ];
+    
+    // Emit validation event
+    this.dispatchEvent(new CustomEvent('validation-changed', {
+      detail: { valid, errors, warnings },
+      bubbles: true,
+      composed: true
+    }));
+    
+    return valid;
+  }
+
+  /** Every reason the current quad can't be submitted (see validate). */
+  _validationErrors() {
     const container = this.shadowRoot.querySelector('.quad-form-container');
     const mode = container?.dataset.mode || 'full';
     const errors = [];
-    
+
     if (mode === 'nano') {
       // Only validate object in nano mode
       if (!this.fieldValues.object) errors.push('Object is required');
@@ -2273,28 +4450,117 @@ class QuadFormWC extends HTMLElement {
         errors.push('Graph is required');
       }
     }
-    
-    const valid = errors.length === 0;
 
-    // Update submit buttons
-    const submitBtn = this.shadowRoot.getElementById('submit-btn');
-    const submitBtnTiny = this.shadowRoot.getElementById('submit-btn-tiny');
-    if (submitBtn) submitBtn.disabled = !valid;
-    if (submitBtnTiny) submitBtnTiny.disabled = !valid;
+    // A quoted triple's inner terms must hold up on their own
+    for (const field of ['subject', 'object']) {
+      const value = this.fieldValues[field];
+      if (mode === 'nano' || this.fieldTypes[field] !== 'triple' && !isQuotedText(value)) continue;
+      if (field === 'object' && this._objectIsLiteral()) continue;
+      const error = value && this._builder.quotedTripleError(value);
+      if (error) errors.push(`${field[0].toUpperCase()}${field.substring(1)} quoted triple: ${error}`);
+    }
 
-    
-    // Emit validation event
-    this.dispatchEvent(new CustomEvent('validation-changed', {
-      detail: { valid, errors },
+    // A datatyped object must be in its datatype's lexical space
+    const lexical = this._objectLexicalError();
+    if (lexical) errors.push(`Object ${lexical}`);
+
+    if (this.objectLanguage && !isWellFormedLanguageTag(this.objectLanguage)) {
+      errors.push(`Language tag "${this.objectLanguage}" is not a well-formed BCP 47 tag`);
+    }
+
+    // SHACL violations from the attached shapes graph (see loadShapes)
+    if (mode !== 'nano') {
+      for (const r of this._shaclResults()) {
+        if (r.severity === 'Violation') errors.push(r.message);
+      }
+    }
+    return errors;
+  }
+  
+  /** The object's lexical-space error (see lexicalError), or null. */
+  _objectLexicalError() {
+    const value = this.fieldValues.object;
+    if (!value || !this.objectDatatype || !this._objectIsLiteral()) return null;
+    return lexicalError(this.objectDatatype,
+      completeHtml5Lexical(this.objectDatatype, value));
+  }
+
+  /**
+   * Checks every submitted quad must pass before anything else sees
+   * it: `(quad) => errors`, returning an array of messages (or one, or
+   * nothing), possibly as a promise. Any message — or a throw — blocks
+   * the submit and is reported through validation-changed.
+   */
+  get validators() { return [...this._validators]; }
+  set validators(list) { this._validators = [...(list ?? [])]; }
+
+  /** Register a validator; returns a function that removes it again. */
+  addValidator(fn) {
+    if (!this._validators.includes(fn)) this._validators.push(fn);
+    return () => this.removeValidator(fn);
+  }
+
+  removeValidator(fn) {
+    this._validators = this._validators.filter((v) => v !== fn);
+  }
+
+  /**
+   * The before-submit hook: a cancelable quad-submitting, whose
+   * listeners may rewrite or replace `detail.quad` (and set
+   * `detail.literal` when they change the object's kind), then the
+   * validators, all awaited together on the result. Returns the
+   * {quad, literal} to go ahead with, or null when vetoed or rejected
+   * — synchronously while no validator is registered, so quad-submitted
+   * still fires within the handleSubmit call.
+   */
+  _beforeSubmit(quad, literal, action) {
+    const detail = { quad, literal, action };
+    const proceed = this.dispatchEvent(new CustomEvent('quad-submitting', {
+      detail,
       bubbles: true,
-      composed: true
+      composed: true,
+      cancelable: true
     }));
-    
-    return valid;
+    if (!proceed) {
+      this._setSubmitState('idle');
+      return null;
+    }
+    // The form knows whether the object is a literal; a rewrite keeps
+    // that unless the listener says otherwise — `detail.literal`, or
+    // an `ot` of its own on a replaced quad
+    if (detail.literal !== literal) {
+      literal = !!detail.literal;
+    } else if (detail.quad.ot && detail.quad.ot !== quad.ot) {
+      literal = detail.quad.ot === 'literal';
+    }
+    const checked = { quad: markObject(detail.quad, literal), literal };
+    if (!this._validators.length) return checked;
+
+    return Promise.all(this._validators.map(async (validator) => {
+      try {
+        return [].concat(await validator(checked.quad) ?? []);
+      } catch (err) {
+        return [err?.message ?? String(err)];
+      }
+    })).then((results) => {
+      const errors = results.flat().filter(Boolean).map(String);
+      if (!errors.length) return checked;
+      this._syncFormValue(errors);
+      this.dispatchEvent(new CustomEvent('validation-changed', {
+        detail: { valid: false, errors, warnings: [] },
+        bubbles: true,
+        composed: true
+      }));
+      // invalid input, not a failed store: nothing to retry
+      this._setSubmitState('idle');
+      return null;
+    });
   }
-  
+
   async handleSubmit(e) {
     e.preventDefault();
+    // one submission at a time: a double click doesn't add twice
+    if (this._isLocked() || this._submitState === 'pending') return;
     
     const container = this.shadowRoot.querySelector('.quad-form-container');
     const mode = container?.dataset.mode || 'full';
@@ -2309,6 +4575,10 @@ class QuadFormWC extends HTMLElement {
       if (!this.fieldValues.subject) this.fieldValues.subject = 'ex:DefaultSubject';
       if (!this.fieldValues.predicate) this.fieldValues.predicate = 'rdfs:comment';
       if (!this.fieldValues.graph) this.fieldValues.graph = this._defaultGraph;
+
+      if (!this.validate()) {
+        return;
+      }
     } else if (mode === 'tiny') {
       // For tiny mode, use default graph if not present
       if (!this.fieldValues.graph) this.fieldValues.graph = this._defaultGraph;
@@ -2323,84 +4593,641 @@ class QuadFormWC extends HTMLElement {
       }
     }
     
-    // Build quad in FLAT format
-    const quad = {
-      s: this._expandQNames ? this.expandQName(this.fieldValues.subject) : this.fieldValues.subject,
-      p: this._expandQNames ? this.expandQName(this.fieldValues.predicate) : this.fieldValues.predicate,
-      o: this._expandQNames ? this.expandQName(this.fieldValues.object) : this.fieldValues.object,
-      g: this._expandQNames ? this.expandQName(this.fieldValues.graph) : this.fieldValues.graph,
-      at: new Date().toISOString(),
-      by: this._currentIdentity || 'anonymous'
-    };
-    
-    // Add datatype if present and not xsd:string
-    if (this.objectDatatype && this.objectDatatype !== 'xsd:string') {
-      quad.d = this.objectDatatype;
+    // validate() just built the quad for the owning form
+    const built = this._built ?? { quad: this.buildQuad(), literal: this._objectIsLiteral() };
+    let quad = { ...built.quad };
+    let { literal } = built;
+
+    // canonicalize-literals: one value, one literal (+042 → 42); the
+    // event detail keeps what was typed
+    const extra = {};
+    if (this.canonicalizeLiterals && literal && quad.d) {
+      const canonical = canonicalLiteral(quad.d, quad.o);
+      // never trade what was typed for a literal the datatype rejects
+      if (canonical !== quad.o && !lexicalError(quad.d, canonical)) {
+        extra.originalObject = quad.o;
+        quad.o = canonical;
+      }
     }
-    
-    // Add language if present
-    if (this.objectLanguage) {
-      quad.l = this.objectLanguage;
+
+    // Hosts have the last word: they may veto or rewrite the quad
+    const batch = this._batchMode && mode !== 'nano';
+    const action = this._editing ? 'replace' : batch ? 'stage' : 'submit';
+    this._setSubmitState('pending');
+    let checked = this._beforeSubmit(quad, literal, action);
+    if (checked instanceof Promise) checked = await checked;
+    if (!checked) return;
+    ({ quad, literal } = checked);
+
+    // EDIT: Submit replaces the loaded quad (ahead of batch staging)
+    if (action === 'replace') {
+      await this._replace(quad, literal, extra);
+      return;
     }
-    
-    // Emit event
-    this.dispatchEvent(new CustomEvent('quad-submitted', {
-      detail: quad,
+
+    // BATCH: stage for review instead of sending (NANO sends as ever)
+    if (batch) {
+      this._stage(quad, literal);
+      this._setSubmitState('idle');
+      return;
+    }
+
+    // With a format set, the detail carries the serialization too;
+    // mmmServer still receives the bare flat quad
+    const format = this.format;
+    if (format) {
+      extra.format = format;
+      extra.serialized = this.serialize(format, quad, { literal });
+    }
+    const detail = Object.keys(extra).length ? { ...quad, ...extra } : quad;
+
+    // With a store (or mmmServer), persist directly; quad-submitted
+    // once it's stored (or queued), as quads-submitted for a batch
+    // Never auto-clear - user can manually use Clear button if desired
+    const stored = await this._persist([{ op: 'add', quads: [quad] }], {
+      success: 'Quad stored',
+      failure: 'Failed to submit quad',
+      then: () => this.dispatchEvent(new CustomEvent('quad-submitted', {
+        detail,
+        bubbles: true,
+        composed: true
+      }))
+    });
+    // Form stays populated after submit - use Clear button to clear manually
+
+    // Inside a <form>, Submit then submits that form too — with the
+    // quad as sent in its FormData under our name. Only now: leaving
+    // the page earlier could cut the store write short.
+    if (stored && this.form) {
+      this._syncFormValue([], { quad, literal });
+      this.form.requestSubmit();
+    }
+  }
+
+  /**
+   * Where the last submission stands: 'idle', 'pending' (hooks or
+   * mmmServer still running; Submit is disabled), 'succeeded',
+   * 'failed' or — with the outbox on — 'queued'; the last three with
+   * an inline message, and Retry after a failed store.
+   */
+  get submitState() { return this._submitState; }
+
+  /** Run the failed storage call again (the inline Retry button). */
+  async retry() {
+    if (this._submitState !== 'failed' || !this._retry) return false;
+    return this._retry();
+  }
+
+  /**
+   * Apply storage operations ({op, quads}, see applyOperations) to
+   * the store (or mmmServer) under submitState: pending while they run, then
+   * succeeded — `then`, and quad-stored for each quad added — or
+   * failed, with quad-error and a Retry that runs them again. With
+   * the outbox on they are queued instead when they can't go through
+   * now (see _enqueue). Without a server only `then` runs. Resolves
+   * to whether they went through (or into the outbox).
+   */
+  async _persist(operations, options) {
+    const { success, failure, errorDetail = {}, then } = options;
+    if (this.outbox) {
+      await this._outboxReady;
+      // behind what's already waiting — as stored, which other forms
+      // and tabs change too — or until there is a server
+      await this._refreshOutbox();
+      if (this._outbox.length || !this._storage() || globalThis.navigator?.onLine === false) {
+        await this._enqueue(operations);
+        then?.();
+        return true;
+      }
+    }
+    if (!this._storage()) {
+      then?.();
+      this._setSubmitState('idle');
+      return true;
+    }
+    this._setSubmitState('pending');
+    const done = new Map();   // operation → its quads stored so far
+    try {
+      await applyOperations(this._storage(), operations, (operation, quads) =>
+        done.set(operation, [...(done.get(operation) ?? []), ...quads]));
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      // quads that went through are stored — announce them, and
+      // queue or retry only the ones that didn't
+      this._announceStored([...done].map(([operation, quads]) => ({ ...operation, quads })));
+      const remaining = unapplied(operations, done);
+      const queued = this.outbox;
+      this.dispatchEvent(new CustomEvent('quad-error', {
+        detail: { error: err, ...errorDetail, ...(queued ? { queued } : {}) },
+        bubbles: true,
+        composed: true
+      }));
+      if (queued) {
+        await this._enqueue(remaining, `${failure}: ${err?.message ?? err}`);
+        then?.();
+        return true;
+      }
+      this._retry = () => this._persist(remaining, options);
+      this._setSubmitState('failed', `${failure}: ${err?.message ?? err}`);
+      return false;
+    }
+    then?.();
+    this._setSubmitState('succeeded', success);
+    this._announceStored(operations);
+    return true;
+  }
+
+  /** quad-stored for every quad `operations` added. */
+  _announceStored(operations) {
+    for (const { op, quads } of operations) {
+      if (op !== 'add') continue;
+      for (const quad of quads) {
+        this.dispatchEvent(new CustomEvent('quad-stored', {
+          detail: quad,
+          bubbles: true,
+          composed: true
+        }));
+      }
+    }
+  }
+
+  /**
+   * Opt-in durable outbox (`outbox`): whatever the store (or
+   * mmmServer) can't take — it threw, the tab is offline, or there is
+   * none yet — is kept in IndexedDB under storage-key and replayed in
+   * order, with backoff, once it can. It survives reloads; forms and
+   * tabs sharing a storage-key share it, one replaying at a time.
+   */
+  get outbox() { return this.hasAttribute('outbox'); }
+  set outbox(on) { this._reflect('outbox', !!on); }
+
+  /**
+   * What the outbox still holds, oldest first: one {op, quad,
+   * queuedAt} per quad to add ('add') or remove ('delete').
+   */
+  get pendingQuads() {
+    return this._outbox.flatMap((entry) =>
+      entry.quads.map((quad) => ({ op: entry.op, quad, queuedAt: entry.queuedAt })));
+  }
+
+  _outboxQueue() {
+    return this.storageKey || OUTBOX_DEFAULT_QUEUE;
+  }
+
+  /**
+   * Load the outbox once the current attributes are all in — an
+   * upgrade delivers storage-key and outbox one after the other.
+   */
+  _scheduleOutboxLoad() {
+    if (this._outboxLoad) return;
+    this._outboxLoad = Promise.resolve().then(() => {
+      this._outboxLoad = null;
+      if (this.outbox) return this._loadOutbox();
+    });
+    this._outboxReady = this._outboxLoad;
+  }
+
+  /** (Re)read this form's queue from IndexedDB, then replay it. */
+  _loadOutbox() {
+    this._outboxReady = this._refreshOutbox();
+    this._outboxReady.then(() => this.replayOutbox());
+    return this._outboxReady;
+  }
+
+  /**
+   * Re-read the queue from IndexedDB — the copy in `_outbox` is only
+   * this form's last look at it — announcing it when it changed.
+   * Entries kept in memory only (IndexedDB failed) stay queued.
+   */
+  async _refreshOutbox() {
+    const before = this._outbox.map((e) => e.id ?? e.queuedAt).join();
+    try {
+      const store = await outboxStore('readonly');
+      const entries = await idbResult(store.index('queue').getAll(this._outboxQueue()));
+      this._outbox = [
+        ...entries.sort((a, b) => a.id - b.id),
+        ...this._outbox.filter((e) => e.id === null)
+      ];
+    } catch (err) {
+      console.warn('Outbox unavailable, queuing in memory only:', err);
+    }
+    if (this._outbox.map((e) => e.id ?? e.queuedAt).join() !== before) this._announceQueue();
+  }
+
+  /**
+   * Queue operations in the outbox (IndexedDB first, memory if it
+   * fails) and leave submitState 'queued' — `reason` says why.
+   */
+  async _enqueue(operations, reason = 'Server unavailable') {
+    const queue = this._outboxQueue();
+    for (const operation of operations) {
+      const entry = { queue, ...operation, queuedAt: new Date().toISOString() };
+      try {
+        const store = await outboxStore('readwrite');
+        entry.id = await idbResult(store.add(entry));
+      } catch (err) {
+        console.warn('Outbox unavailable, queuing in memory only:', err);
+        entry.id = null;
+      }
+      this._outbox.push(entry);
+    }
+    const count = this.pendingQuads.length;
+    this._setSubmitState('queued', `${reason} — queued, ${count} waiting`);
+    this._announceQueue();
+    this._scheduleReplay();
+  }
+
+  /**
+   * Send the outbox to the store, oldest first, each entry leaving
+   * the queue (and announcing its quads as stored) once it's through.
+   * Runs under the queue's lock, re-reading the queue as it goes, so
+   * forms and tabs sharing it never send an entry twice over.
+   * A failure stops the run and tries again later, backing off.
+   * Resolves to whether the outbox is empty.
+   */
+  async replayOutbox() {
+    if (this._replaying) return false;
+    await this._outboxReady;
+    if (!this._outbox.length) return true;
+    if (!this._storage() || globalThis.navigator?.onLine === false) return false;
+    this._replaying = true;
+    clearTimeout(this._replayTimer);
+    this._replayTimer = null;
+    let empty;
+    try {
+      empty = await withQueueLock(this._outboxQueue(), () => this._replayLocked());
+    } finally {
+      this._replaying = false;
+    }
+    if (empty && this._submitState === 'queued') {
+      this._setSubmitState('succeeded', 'Queued quads stored');
+    }
+    return empty;
+  }
+
+  /** replayOutbox's run, the queue's lock held. */
+  async _replayLocked() {
+    await this._refreshOutbox();
+    while (this._outbox.length && this._storage()) {
+      const entry = this._outbox[0];
+      const stored = [];
+      try {
+        await applyOperations(this._storage(), [entry], (_, quads) => stored.push(...quads));
+        if (entry.id !== null) {
+          const store = await outboxStore('readwrite');
+          await idbResult(store.delete(entry.id));
+        }
+      } catch (err) {
+        // sent but still stored goes again later: at least once
+        console.warn('Outbox replay failed:', err);
+        if (stored.length && stored.length < entry.quads.length) {
+          await this._dropFromEntry(entry, stored);
+        }
+        this._replayDelay = Math.min(this._replayDelay * 2 || OUTBOX_RETRY_MS, OUTBOX_RETRY_MAX_MS);
+        this._scheduleReplay();
+        return false;
+      }
+      this._replayDelay = 0;
+      this._outbox = this._outbox.filter((e) => e !== entry);
+      this._announceStored([entry]);
+      this._announceQueue();
+      await this._refreshOutbox();
+    }
+    return !this._outbox.length;
+  }
+
+  /**
+   * Take quads a replay got through out of their outbox entry — in
+   * IndexedDB too — announcing them as stored.
+   */
+  async _dropFromEntry(entry, quads) {
+    entry.quads = entry.quads.filter((quad) => !quads.includes(quad));
+    if (entry.id !== null) {
+      try {
+        const store = await outboxStore('readwrite');
+        await idbResult(store.put(entry));
+      } catch (err) {
+        console.warn('Outbox unavailable, these quads may be sent again:', err);
+      }
+    }
+    this._announceStored([{ op: entry.op, quads }]);
+    this._announceQueue();
+  }
+
+  _scheduleReplay() {
+    if (this._replayTimer || !this.isConnected) return;
+    this._replayTimer = setTimeout(() => {
+      this._replayTimer = null;
+      this.replayOutbox();
+    }, this._replayDelay || OUTBOX_RETRY_MS);
+  }
+
+  _announceQueue() {
+    this.dispatchEvent(new CustomEvent('queue-changed', {
+      detail: { pendingQuads: this.pendingQuads },
       bubbles: true,
       composed: true
     }));
-    
-    // If mmmServer is available, submit directly
-    if (this._mmmServer) {
-      try {
-        await this._mmmServer.addQuad(quad);
-        // Never auto-clear - user can manually use Clear button if desired
-      } catch (err) {
-        console.error('Failed to submit quad:', err);
-        this.dispatchEvent(new CustomEvent('quad-error', {
-          detail: { error: err },
+  }
+
+  /** Move to a submitState: the buttons, spinner and inline message follow. */
+  _setSubmitState(state, message = '') {
+    this._submitState = state;
+    if (state !== 'failed') this._retry = null;
+    const root = this.shadowRoot;
+    const pending = state === 'pending';
+
+    const blocked = pending || this._validationErrors().length > 0;
+    for (const id of ['submit-btn', 'submit-btn-tiny']) {
+      const btn = root.getElementById(id);
+      if (!btn) continue;
+      btn.disabled = blocked;
+      btn.classList.toggle('pending', pending);
+      btn.setAttribute('aria-busy', String(pending));
+    }
+    const retractBtn = root.getElementById('retract-btn');
+    if (retractBtn) retractBtn.disabled = pending;
+    const commitAllBtn = root.getElementById('commit-all-btn');
+    if (commitAllBtn) commitAllBtn.disabled = pending || !this._staged.length;
+
+    const status = root.getElementById('submit-status');
+    if (!status) return;
+    const shown = ['succeeded', 'failed', 'queued'].includes(state) && !!message;
+    status.classList.toggle('hidden', !shown);
+    for (const outcome of ['succeeded', 'failed', 'queued']) {
+      status.classList.toggle(outcome, state === outcome);
+    }
+    root.getElementById('submit-status-text').textContent = shown ? message : '';
+    root.getElementById('retry-btn').classList.toggle('hidden', !this._retry);
+  }
+
+  /**
+   * Load an EXISTING quad for correction: its terms (with `d`/`l`)
+   * fill the form, Submit becomes Replace and Retract appears.
+   * @param {Object} quad - Flat quad {s, p, o, g, ..., d?, l?}
+   * @param {Object} [options]
+   * @param {boolean} [options.literal] - Object is a literal (default:
+   *   the quad's `ot`, else `d`/`l` and the object's shape)
+   */
+  editQuad(quad, { literal = isLiteralObject(quad) } = {}) {
+    this._editing = { quad: { ...quad }, literal };
+    this._loadQuad(quad, { literal });
+    this._syncEditControls();
+  }
+
+  /** Leave edit mode; the fields stand and Submit adds again. */
+  cancelEdit() {
+    this._editing = null;
+    this._syncEditControls();
+  }
+
+  /**
+   * Submit in edit mode: add the new quad, then delete the old one —
+   * never the other way round, so a failed add loses nothing — and
+   * quad-replaced once both went through (or into the outbox).
+   */
+  async _replace(quad, literal, extra = {}) {
+    const old = this._editing.quad;
+    const operations = [{ op: 'add', quads: [quad] }];
+    // an unchanged statement is re-added, not deleted after adding
+    const builder = this._builder;
+    if (builder.toNQuads(old, { literal: this._editing.literal }) !==
+        builder.toNQuads(quad, { literal })) {
+      operations.push({ op: 'delete', quads: [old] });
+    }
+
+    await this._persist(operations, {
+      success: 'Quad replaced',
+      failure: 'Failed to replace quad',
+      errorDetail: { quad: old },
+      then: () => {
+        // further corrections replace the replacement
+        this._editing = { quad, literal };
+        this.dispatchEvent(new CustomEvent('quad-replaced', {
+          detail: { old, new: quad, ...extra },
+          bubbles: true,
+          composed: true
+        }));
+      }
+    });
+  }
+
+  /** Remove the quad being edited: deleteQuad, then quad-retracted. */
+  async retract() {
+    if (!this._editing || this._submitState === 'pending') return;
+    const quad = this._editing.quad;
+
+    await this._persist([{ op: 'delete', quads: [quad] }], {
+      success: 'Quad retracted',
+      failure: 'Failed to retract quad',
+      errorDetail: { quad },
+      then: () => {
+        this.cancelEdit();
+        this.dispatchEvent(new CustomEvent('quad-retracted', {
+          detail: quad,
           bubbles: true,
           composed: true
         }));
       }
+    });
+  }
+
+  _syncEditControls() {
+    const editing = !!this._editing;
+    this.shadowRoot.getElementById('retract-btn')?.classList.toggle('hidden', !editing);
+    this.shadowRoot.getElementById('cancel-edit-btn')?.classList.toggle('hidden', !editing);
+    this._syncSubmitLabel();
+  }
+
+  /** Submit's label follows the mode: Replace > Stage > Submit. */
+  _syncSubmitLabel() {
+    const submitBtn = this.shadowRoot.getElementById('submit-btn');
+    const submitBtnTiny = this.shadowRoot.getElementById('submit-btn-tiny');
+    if (submitBtn) {
+      submitBtn.textContent = this._editing ? 'Replace Quad'
+        : this._batchMode ? 'Stage Quad' : 'Submit Quad';
+    }
+    if (submitBtnTiny) {
+      submitBtnTiny.textContent = this._editing ? '↻' : '+';
+      submitBtnTiny.title = this._editing ? 'replace the quad being edited' : '';
     }
-    // Form stays populated after submit - use Clear button to clear manually
   }
-  
-  expandQName(value) {
-    if (!value || value.includes('://')) {
-      return value;
+
+  /** Append to the staging list — or replace the entry being edited. */
+  _stage(quad, literal) {
+    const entry = { quad, literal };
+    const index = this._staged.indexOf(this._stagingEdit);
+    if (index !== -1) {
+      this._staged[index] = entry;
+    } else {
+      this._staged.push(entry);
     }
-    
-    const colonIndex = value.indexOf(':');
-    if (colonIndex === -1) {
-      return value;
+    this._stagingEdit = null;
+    this._renderStaged();
+  }
+
+  /** Drop one staged quad. */
+  unstage(index) {
+    const entry = this._staged[index];
+    if (!entry) return;
+    this._staged.splice(index, 1);
+    if (entry === this._stagingEdit) this._stagingEdit = null;
+    this._renderStaged();
+  }
+
+  /**
+   * Load a staged quad into the form for correction. It stays in the
+   * list (and in Commit all) as it was until the next Submit replaces it.
+   */
+  editStaged(index) {
+    const entry = this._staged[index];
+    if (!entry) return;
+    this._stagingEdit = entry;
+    this._loadQuad(entry.quad, { literal: entry.literal });
+    this._renderStaged();
+  }
+
+  /** Empty the staging list without sending anything. */
+  clearStaged() {
+    this._staged = [];
+    this._stagingEdit = null;
+    this._renderStaged();
+  }
+
+  /**
+   * Send every staged quad: ONE mmmServer.addQuads call (per-quad
+   * addQuad when the server lacks it), then ONE quads-submitted event.
+   * The list empties on success and stands on failure, unannounced.
+   */
+  async commitAll() {
+    if (!this._staged.length || this._submitState === 'pending') return;
+    const entries = this._staged;
+    const quads = entries.map((e) => e.quad);
+
+    const format = this.format;
+    const detail = { quads };
+    if (format) {
+      detail.format = format;
+      detail.serialized = entries.map((e) =>
+        this.serialize(format, e.quad, { literal: e.literal })).join('\n');
     }
-    
-    const prefix = value.substring(0, colonIndex);
-    
-    // CRITICAL: MMM URN schemes are complete identifiers, not CURIEs!
-    if (MMM_URN_SCHEMES.has(prefix) || STANDARD_SCHEMES.has(prefix)) {
-      return value;
+
+    await this._persist([{ op: 'add', quads, batch: true }], {
+      success: `${quads.length} ${quads.length === 1 ? 'quad' : 'quads'} stored`,
+      failure: 'Failed to submit quads',
+      errorDetail: { quads },
+      then: () => {
+        // only what was sent: anything staged meanwhile stays
+        this._staged = this._staged.filter((e) => !entries.includes(e));
+        if (!this._staged.includes(this._stagingEdit)) this._stagingEdit = null;
+        this._renderStaged();
+        this.dispatchEvent(new CustomEvent('quads-submitted', {
+          detail,
+          bubbles: true,
+          composed: true
+        }));
+      }
+    });
+  }
+
+  _renderStaged() {
+    const root = this.shadowRoot;
+    const staging = root?.getElementById('batch-staging');
+    if (!staging) return;
+
+    staging.classList.toggle('hidden', !this._batchMode);
+    root.getElementById('batch-btn')?.classList.toggle('active', this._batchMode);
+    this._syncSubmitLabel();
+
+    root.getElementById('staged-count').textContent = `Staged (${this._staged.length})`;
+    root.getElementById('commit-all-btn').disabled =
+      this._staged.length === 0 || this._submitState === 'pending';
+
+    const esc = QuadFormWC._escOpt;
+    root.getElementById('staged-list').innerHTML = this._staged.map((e, i) => {
+      const t = this._builder.turtleTerms(e.quad, e.literal);
+      const editing = e === this._stagingEdit ? ' editing' : '';
+      return `<li class="staged-item${editing}" data-index="${i}">` +
+        `${esc(`${t.s} ${t.p} ${t.o}`)}` +
+        (t.g ? ` <span class="staged-graph">${esc(t.g)}</span>` : '') +
+        '<button type="button" data-action="edit" title="edit in the form">edit</button>' +
+        '<button type="button" data-action="remove" title="remove from the batch">×</button>' +
+        '</li>';
+    }).join('');
+  }
+
+  /**
+   * Build the FLAT quad {s, p, o, g, at, by, d?, l?, st?, ot?} from
+   * the current field values — what quad-submitted carries and mmmServer.addQuad
+   * receives. CURIEs are expanded when expandQNames is on.
+   */
+  buildQuad() {
+    const literal = this._objectIsLiteral();
+    // date/time controls get their seconds completed (see completeHtml5Lexical)
+    return this._builder.build({
+      ...this.fieldValues,
+      object: literal
+        ? completeHtml5Lexical(this.objectDatatype, this.fieldValues.object)
+        : this.fieldValues.object,
+      datatype: this.objectDatatype,
+      language: this.objectLanguage,
+      literal
+    });
+  }
+
+  /** Does the form's current object type make the object a literal? */
+  _objectIsLiteral() {
+    const container = this.shadowRoot?.querySelector('.quad-form-container');
+    if (container?.dataset.mode === 'tiny') {
+      const t = this.tinyFieldTypes.object;
+      return t === 'string' || t === 'literal';
     }
-    
-    const localPart = value.substring(colonIndex + 1);
-    
-    if (this._prefixes[prefix]) {
-      return this._prefixes[prefix] + localPart;
+    const t = this.fieldTypes.object;
+    return !['qname', 'uri', 'blank', 'triple'].includes(t);
+  }
+
+  /**
+   * Render a quad as RDF text (see QuadBuilder#serialize).
+   *
+   * @param {string} format - 'nquads' | 'trig' | 'turtle' | 'jsonld'
+   * @param {Object} [quad] - Flat quad; defaults to the form's current one
+   * @param {Object} [options]
+   * @param {boolean} [options.literal] - Force the object to be read as
+   *   a literal (true) or IRI (false). Without it the quad's `ot`
+   *   says (see isLiteralObject).
+   * @returns {string}
+   */
+  serialize(format = 'nquads', quad = null, { literal } = {}) {
+    if (!quad) {
+      quad = this.buildQuad();
+      literal ??= this._objectIsLiteral();
     }
-    
-    return value;
+    return this._builder.serialize(format, quad, { literal });
   }
-  
+
+  /** One N-Quads statement (N-Triples when the quad has no graph). */
+  toNQuads(quad = this.buildQuad(), options) {
+    return this._builder.toNQuads(quad, options);
+  }
+
+  /** TriG, or Turtle with `graph: false` (see QuadBuilder#toTriG). */
+  toTriG(quad = this.buildQuad(), options) {
+    return this._builder.toTriG(quad, options);
+  }
+
+  /** Compacted JSON-LD, as an object (see QuadBuilder#toJsonLd). */
+  toJsonLd(quad = this.buildQuad(), options) {
+    return this._builder.toJsonLd(quad, options);
+  }
+
+  /** A CURIE's IRI under the prefix table (see QuadBuilder#expandQName). */
+  expandQName(value) {
+    return this._builder.expandQName(value);
+  }
+
+  /** A full IRI as its longest-match CURIE (see QuadBuilder#contractUri). */
   contractUri(value) {
-    // Try to contract a full URI to a CURIE
-    for (const [prefix, expansion] of Object.entries(this._prefixes)) {
-      if (value.startsWith(expansion)) {
-        return prefix + ':' + value.substring(expansion.length);
-      }
-    }
-    return value;
+    return this._builder.contractUri(value);
   }
   
   updateAttribution() {
@@ -2412,7 +5239,7 @@ class QuadFormWC extends HTMLElement {
     }
     
     if (byValue) {
-      byValue.textContent = this._currentIdentity || 'not logged in';
+      byValue.textContent = this._builder.identity || 'not logged in';
     }
     
     // Update every second
@@ -2430,8 +5257,10 @@ class QuadFormWC extends HTMLElement {
     const overlay = this.shadowRoot.getElementById('prefixes-overlay');
     if (overlay) {
       overlay.classList.add('visible');
+      this._renderPrefixConflicts();
       
-      if (!this._prefixesFormLoaded) {
+      // the fallback list is redrawn: the table may have changed
+      if (!this._prefixesFormLoaded || !this._prefixesFormElement) {
         this.loadPrefixesForm();
         this._prefixesFormLoaded = true;
       } else {
@@ -2490,6 +5319,7 @@ class QuadFormWC extends HTMLElement {
     }
 
     if (name === 'subject') this._maybeShadowObject();
+    if (name === 'predicate') this._applyPredicateRange();
     this.validate();
   }
   
@@ -2514,11 +5344,133 @@ class QuadFormWC extends HTMLElement {
               select?.classList.contains('presumed'));
   }
   
+  /**
+   * Fill the form from a pasted N-Triples/N-Quads/Turtle statement:
+   * subject, predicate, object and (when present) graph, with the
+   * object's type, datatype and language following its term. CURIEs
+   * whose prefix the paste declares differently from ours are expanded.
+   * @param {string} text
+   * @returns {boolean} whether the text parsed as a statement
+   */
+  fillFromStatement(text) {
+    let parsed;
+    try {
+      parsed = parseStatement(text ?? '');
+    } catch {
+      return false;
+    }
+    this._fillTerms(parsed);
+    return true;
+  }
+
+  /**
+   * Load a FLAT quad back into the fields — CURIEs where our prefixes
+   * fit, the object typed by its `d`/`l` (or `literal`).
+   */
+  _loadQuad(quad, { literal = isLiteralObject(quad) } = {}) {
+    const term = (v) => {
+      if (isBlankLabel(v)) return { type: 'blank', value: v };
+      if (isQuotedTriple(v)) return { type: 'triple', value: this._builder.formatQuoted(v) };
+      const full = this.expandQName(v);
+      const curie = this.contractUri(full);
+      return curie !== full && this.validateField(null, curie, 'qname')
+        ? { type: 'curie', value: curie }
+        : { type: 'iri', value: v };
+    };
+    const object = literal
+      ? { type: 'literal', value: quad.o }
+      : term(quad.o);
+    if (literal && quad.l) object.language = quad.l;
+    else if (literal && quad.d) object.datatype = term(quad.d);
+    this._fillTerms({
+      subject: term(quad.s),
+      predicate: term(quad.p),
+      object,
+      graph: quad.g ? { type: 'iri', value: quad.g } : null
+    });
+  }
+
+  /** Distribute parsed terms over the fields (see parseStatement). */
+  _fillTerms({ subject, predicate, object, graph }) {
+    // a CURIE the paste resolves differently than we would goes in full
+    const termValue = (t) => {
+      if (t.type === 'triple') return t.value ?? this._builder.formatQuoted(this._builder.quotedFromTerm(t));
+      return (t.type === 'curie' && t.iri !== undefined &&
+        this._builder.prefixes[t.prefix] + t.local !== t.iri) ? t.iri : t.value;
+    };
+
+    // an explicit object ends any self-loop shadowing
+    this.awaitingSelfLoop = false;
+
+    const fill = (field, value) => {
+      this._clearPresumed(field);
+      this.setField(field, value);
+      this.dispatchEvent(new CustomEvent('field-changed', {
+        detail: { field, value },
+        bubbles: true,
+        composed: true
+      }));
+    };
+
+    // the subject's face follows its term: Blank for _:x, Triple for
+    // << s p o >>, else as was
+    if (subject.type === 'blank' || subject.type === 'triple') {
+      this._setFieldType('subject', subject.type);
+    } else if (['blank', 'triple'].includes(this.fieldTypes.subject)) {
+      this._setFieldType('subject', 'qname');
+    }
+    fill('subject', termValue(subject));
+    fill('predicate', termValue(predicate));
+
+    if (object.type === 'literal') {
+      const datatype = object.datatype
+        ? this.contractUri(this.expandQName(termValue(object.datatype)))
+        : 'xsd:string';
+      this._setObjectDatatype(object.language ? 'xsd:string' : datatype);
+      this.objectLanguage = object.language ?? '';
+      const languageInput = this.shadowRoot.getElementById('language-input');
+      if (languageInput) languageInput.value = this.objectLanguage;
+    } else {
+      this._setFieldType('object', object.type === 'iri' ? 'uri'
+        : object.type === 'curie' ? 'qname' : object.type);
+    }
+    fill('object', termValue(object));
+
+    if (graph) fill('graph', termValue(graph));
+
+    this.updateFieldValidation();
+  }
+
+  /** Switch a field's type as if picked from its type menu. */
+  _setFieldType(field, type) {
+    const select = this.shadowRoot
+      .querySelector(`.type-select-dropdown[data-field="${field}"]`);
+    if (select) select.value = type;
+    this.handleTypeChange({ target: { dataset: { field }, value: type } });
+    this.tinyFieldTypes[field] = field === 'object' ? this.getObjectTinyType()
+      : ['uri', 'blank', 'triple'].includes(type) ? type : 'qname';
+    this.updateTinyDecorators();
+  }
+
+  /**
+   * An entity button's hand-off. `entity` is an id — or, for 'meta'
+   * and for 'reuse' as subject/object, an {s, p, o} triple, which goes
+   * in quoted so the new statement is about that edge.
+   */
   populateFromEntity(entity, role, mode) {
-    if (mode === 'reuse') {
+    if (mode === 'reuse' && isQuotedTriple(entity) && role !== 'predicate') {
+      this._setFieldType(role, 'triple');
+      this.setField(role, this._builder.formatQuoted(entity));
+    } else if (mode === 'reuse') {
       this.setField(role, entity);
+    } else if (mode === 'meta' && isQuotedTriple(entity)) {
+      this._setFieldType('subject', 'triple');
+      this.setField('subject', this._builder.formatQuoted(entity));
     } else if (mode === 'meta') {
       this.setField('subject', entity);
+    } else if (mode === 'edit') {
+      // entity is a flat quad here — load it for Replace/Retract
+      this.editQuad(entity);
     }
   }
   
@@ -2577,6 +5529,11 @@ class QuadFormWC extends HTMLElement {
   clear() {
     const container = this.shadowRoot.querySelector('.quad-form-container');
     const mode = container?.dataset.mode || 'full';
+
+    // a cleared form edits nothing — and shows no stale outcome
+    this.cancelEdit();
+    this._closeCompletions();
+    if (this._submitState !== 'pending') this._setSubmitState('idle');
     
     this.fieldValues = {
       subject: '',
@@ -2640,6 +5597,10 @@ class QuadFormWC extends HTMLElement {
   }
   
   disconnectedCallback() {
+    this._cancelProviderQuery();
+    globalThis.removeEventListener?.('online', this._onOnline);
+    clearTimeout(this._replayTimer);
+    this._replayTimer = null;
     if (this._attributionInterval) {
       clearInterval(this._attributionInterval);
       this._attributionInterval = null;
@@ -2647,8 +5608,10 @@ class QuadFormWC extends HTMLElement {
   }
 }
 
-// Register the custom element
+// Register the custom elements — the picker first, so quad-form's
+// shadow DOM upgrades its pickers as it renders
+if (!customElements.get('quad-picker')) customElements.define('quad-picker', QuadPickerWC);
 customElements.define('quad-form', QuadFormWC);
 
 // Export for ES modules
-export { QuadFormWC };
+export { QuadFormWC, QuadPickerWC, QuadBuilder, DataFactory, DatasetStore, SparqlUpdateStore, NQuadsStore };
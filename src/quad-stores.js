@@ -0,0 +1,236 @@
+/**
+ * Storage adapters for <quad-form>
+ *
+ * A store is anything with
+ *
+ *   addQuad(quad)      → Promise   store one FLAT quad
+ *   deleteQuad(quad)   → Promise   remove one
+ *   addQuads?(quads)   → Promise   store a batch (Commit all) at once
+ *
+ * which an mmmServer already is. Assign one to QuadFormWC's `store`
+ * (it takes precedence over `mmmServer`); a rejected promise is a
+ * failed submission — retried, or queued by the outbox. The adapters
+ * here need no DOM:
+ *
+ *   import { DatasetStore, SparqlUpdateStore, NQuadsStore } from '@mmmttoys/quad-form/stores';
+ *   form.store = new DatasetStore(dataset);            // RDF/JS DatasetCore
+ *   form.store = new SparqlUpdateStore('/sparql');     // INSERT DATA / DELETE DATA
+ *   form.store = new NQuadsStore('/quads');            // POST / DELETE of N-Quads
+ *
+ * Each turns flat quads into RDF through a QuadBuilder, taking the
+ * object's kind from `ot` (see isLiteralObject). Pass `prefixes`
+ * (e.g. the form's) when quads may still carry CURIEs — expand-curies
+ * off — beyond COMMON_PREFIXES.
+ */
+
+import { QuadBuilder, isBlankLabel, isQuotedTriple, escapeIri, XSD_NS, RDF_NS } from './quad-builder.js';
+
+const XSD_STRING = `${XSD_NS}string`;
+const RDF_LANG_STRING = `${RDF_NS}langString`;
+
+function termEquals(a, b) {
+  if (!a || !b) return a === b;
+  if (a.termType !== b.termType || a.value !== b.value) return false;
+  switch (a.termType) {
+    case 'Literal':
+      return a.language === b.language && termEquals(a.datatype, b.datatype);
+    case 'Quad':
+      return ['subject', 'predicate', 'object', 'graph']
+        .every((k) => termEquals(a[k], b[k]));
+    default:
+      return true;
+  }
+}
+
+function term(termType, value, extra) {
+  return {
+    termType, value, ...extra,
+    equals(other) { return termEquals(this, other); }
+  };
+}
+
+let blankCounter = 0;
+
+/**
+ * A minimal RDF/JS DataFactory — the default for DatasetStore when the
+ * dataset's library doesn't supply its own.
+ */
+const DataFactory = {
+  namedNode: (value) => term('NamedNode', value),
+  blankNode: (value) => term('BlankNode', value ?? `b${++blankCounter}`),
+  literal(value, languageOrDatatype) {
+    if (typeof languageOrDatatype === 'string' && languageOrDatatype) {
+      return term('Literal', value, {
+        language: languageOrDatatype,
+        datatype: DataFactory.namedNode(RDF_LANG_STRING)
+      });
+    }
+    return term('Literal', value, {
+      language: '',
+      datatype: languageOrDatatype ?? DataFactory.namedNode(XSD_STRING)
+    });
+  },
+  variable: (value) => term('Variable', value),
+  defaultGraph: () => term('DefaultGraph', ''),
+  quad: (subject, predicate, object, graph = DataFactory.defaultGraph()) =>
+    term('Quad', '', { subject, predicate, object, graph })
+};
+
+/** Reject unless the response is 2xx, with its status and body. */
+async function checkResponse(response, what) {
+  if (response.ok) return response;
+  const text = await response.text().catch(() => '');
+  throw new Error(`${what} failed: ${response.status} ${response.statusText}` +
+    (text ? ` — ${text.trim().substring(0, 200)}` : ''));
+}
+
+function resolveFetch(fetchFn) {
+  const f = fetchFn ?? globalThis.fetch?.bind(globalThis);
+  if (typeof f !== 'function') throw new Error('No fetch available; pass one in options.fetch');
+  return f;
+}
+
+/**
+ * Store into an RDF/JS DatasetCore (anything with add/delete of
+ * RDF/JS quads): flat quads become NamedNode, BlankNode and Literal
+ * terms made by `factory` — the dataset library's own DataFactory
+ * where it has one.
+ */
+class DatasetStore {
+  /**
+   * @param {Object} dataset - RDF/JS DatasetCore
+   * @param {Object} [options]
+   * @param {Object} [options.factory] - RDF/JS DataFactory (default: DataFactory)
+   * @param {Object} [options.prefixes] - Extra prefixes for leftover CURIEs
+   */
+  constructor(dataset, { factory = DataFactory, prefixes = {} } = {}) {
+    this.dataset = dataset;
+    this.factory = factory;
+    this.builder = new QuadBuilder({ prefixes });
+  }
+
+  /** The flat quad as the RDF/JS Quad this store adds or deletes. */
+  toRdfJs(quad) {
+    return this.builder.toRdfJs(quad, this.factory);
+  }
+
+  async addQuad(quad) {
+    this.dataset.add(this.toRdfJs(quad));
+  }
+
+  async addQuads(quads) {
+    for (const quad of quads.map((q) => this.toRdfJs(q))) this.dataset.add(quad);
+  }
+
+  async deleteQuad(quad) {
+    this.dataset.delete(this.toRdfJs(quad));
+  }
+}
+
+// DELETE DATA may not contain blank nodes (SPARQL 1.1 Update §3.1.2)
+function hasBlankNode(quad) {
+  return [quad.s, quad.o, quad.g].some((v) =>
+    isBlankLabel(v) || (isQuotedTriple(v) && hasBlankNode(v)));
+}
+
+/**
+ * Store through a SPARQL 1.1 Update endpoint: `INSERT DATA` to add,
+ * `DELETE DATA` to remove, quads of a graph inside `GRAPH <g> { }`,
+ * POSTed as application/sparql-update.
+ */
+class SparqlUpdateStore {
+  /**
+   * @param {string} endpoint - Update endpoint URL
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+   * @param {Object} [options.headers] - Extra request headers (e.g. Authorization)
+   * @param {Object} [options.prefixes] - Extra prefixes for leftover CURIEs
+   */
+  constructor(endpoint, { fetch, headers = {}, prefixes = {} } = {}) {
+    this.endpoint = endpoint;
+    this.headers = headers;
+    this.builder = new QuadBuilder({ prefixes });
+    this._fetch = fetch;
+  }
+
+  /**
+   * The update request for `quads`: one `INSERT DATA` ('insert') or
+   * `DELETE DATA` ('delete') block, a GRAPH group per named graph.
+   */
+  toUpdate(operation, quads) {
+    const graphs = new Map();
+    for (const quad of quads) {
+      if (operation === 'delete' && hasBlankNode(quad)) {
+        throw new Error('DELETE DATA cannot remove quads with blank nodes');
+      }
+      const triple = this.builder.toNQuads({ ...quad, g: '' }).trimEnd();
+      const graph = quad.g ? `<${escapeIri(this.builder.expandQName(quad.g))}>` : '';
+      if (!graphs.has(graph)) graphs.set(graph, []);
+      graphs.get(graph).push(triple);
+    }
+    const blocks = [...graphs].map(([graph, triples]) => graph
+      ? `  GRAPH ${graph} {\n${triples.map((t) => `    ${t}`).join('\n')}\n  }`
+      : triples.map((t) => `  ${t}`).join('\n'));
+    return `${operation === 'delete' ? 'DELETE' : 'INSERT'} DATA {\n${blocks.join('\n')}\n}\n`;
+  }
+
+  async _update(operation, quads) {
+    const response = await resolveFetch(this._fetch)(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/sparql-update', ...this.headers },
+      body: this.toUpdate(operation, quads)
+    });
+    await checkResponse(response, 'SPARQL Update');
+  }
+
+  addQuad(quad) { return this._update('insert', [quad]); }
+  addQuads(quads) { return this._update('insert', quads); }
+  deleteQuad(quad) { return this._update('delete', [quad]); }
+}
+
+/**
+ * Store by sending N-Quads over HTTP: adds are POSTed to `url` as
+ * application/n-quads, removals sent with `deleteMethod` (DELETE by
+ * default; null makes deleteQuad reject).
+ */
+class NQuadsStore {
+  /**
+   * @param {string} url - Where to send the N-Quads
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {?string} [options.deleteMethod='DELETE'] - HTTP method for removals
+   * @param {Object} [options.prefixes] - Extra prefixes for leftover CURIEs
+   */
+  constructor(url, { fetch, headers = {}, deleteMethod = 'DELETE', prefixes = {} } = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.deleteMethod = deleteMethod;
+    this.builder = new QuadBuilder({ prefixes });
+    this._fetch = fetch;
+  }
+
+  /** The N-Quads document for `quads`. */
+  toNQuads(quads) {
+    return quads.map((quad) => this.builder.toNQuads(quad)).join('');
+  }
+
+  async _send(method, quads) {
+    const response = await resolveFetch(this._fetch)(this.url, {
+      method,
+      headers: { 'Content-Type': 'application/n-quads', ...this.headers },
+      body: this.toNQuads(quads)
+    });
+    await checkResponse(response, `N-Quads ${method}`);
+  }
+
+  addQuad(quad) { return this._send('POST', [quad]); }
+  addQuads(quads) { return this._send('POST', quads); }
+
+  async deleteQuad(quad) {
+    if (!this.deleteMethod) throw new Error('This N-Quads store cannot delete quads');
+    return this._send(this.deleteMethod, [quad]);
+  }
+}
+
+export { DataFactory, DatasetStore, SparqlUpdateStore, NQuadsStore };
@@ -0,0 +1,53 @@
+import type { FlatQuad } from './builder.js';
+
+/** Where `<quad-form>` stores quads; an mmmServer is one. */
+export interface QuadStore {
+  addQuad(quad: FlatQuad): Promise<unknown>;
+  deleteQuad(quad: FlatQuad): Promise<unknown>;
+  addQuads?(quads: FlatQuad[]): Promise<unknown>;
+}
+
+/** The part of fetch and its Response the HTTP stores use. */
+interface HttpStoreOptions {
+  fetch?: (url: string, init: {method: string, headers: Record<string, string>, body: string}) =>
+    Promise<{ok: boolean, status: number, statusText: string, text(): Promise<string>}>;
+  headers?: Record<string, string>;
+  prefixes?: Record<string, string>;
+}
+
+/** A minimal RDF/JS DataFactory. */
+export const DataFactory: any;
+
+/** Stores into an RDF/JS DatasetCore (`@mmmttoys/quad-form/stores`). */
+export class DatasetStore implements QuadStore {
+  constructor(dataset: any, options?: {factory?: any, prefixes?: Record<string, string>});
+  dataset: any;
+  factory: any;
+  toRdfJs(quad: Partial<FlatQuad>): any;
+  addQuad(quad: FlatQuad): Promise<void>;
+  addQuads(quads: FlatQuad[]): Promise<void>;
+  deleteQuad(quad: FlatQuad): Promise<void>;
+}
+
+/** Stores through a SPARQL 1.1 Update endpoint (`INSERT DATA` / `DELETE DATA`). */
+export class SparqlUpdateStore implements QuadStore {
+  constructor(endpoint: string, options?: HttpStoreOptions);
+  endpoint: string;
+  headers: Record<string, string>;
+  toUpdate(operation: 'insert' | 'delete', quads: Partial<FlatQuad>[]): string;
+  addQuad(quad: FlatQuad): Promise<void>;
+  addQuads(quads: FlatQuad[]): Promise<void>;
+  deleteQuad(quad: FlatQuad): Promise<void>;
+}
+
+/** Stores by POSTing N-Quads to a URL. */
+export class NQuadsStore implements QuadStore {
+  constructor(url: string, options?: HttpStoreOptions & {deleteMethod?: string | null});
+  url: string;
+  headers: Record<string, string>;
+  deleteMethod: string | null;
+  toNQuads(quads: Partial<FlatQuad>[]): string;
+  addQuad(quad: FlatQuad): Promise<void>;
+  addQuads(quads: FlatQuad[]): Promise<void>;
+  deleteQuad(quad: FlatQuad): Promise<void>;
+}
@@ -0,0 +1,169 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  QuadBuilder, canonicalLiteral, parseTurtleDocument, parseJsonLdDocument
+} from '../src/quad-builder.js';
+
+const EX = 'http://example.org/';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const FOAF = 'http://xmlns.com/foaf/0.1/';
+
+function builder(options = {}) {
+  return new QuadBuilder({ prefixes: { ex: EX }, identity: 'iii:alice', ...options });
+}
+
+test('validateTerm: IRIs, URNs and CURIEs', () => {
+  const b = builder();
+  assert.equal(b.validateTerm('http://example.org/a', 'uri'), true);
+  assert.equal(b.validateTerm('mntl:publ/scratch', 'uri'), true);
+  assert.equal(b.validateTerm('foaf:knows', 'qname'), true);
+  assert.equal(b.validateTerm('ex:123', 'qname'), true);
+  assert.equal(b.validateTerm('ex:a.b', 'qname'), true);
+  assert.equal(b.validateTerm('[ex:a]', 'qname'), true);
+  assert.equal(b.validateTerm('nope:x', 'qname'), false);
+  assert.equal(b.validateTerm('ex:', 'qname'), false);
+  assert.equal(b.validateTerm('', 'uri'), false);
+});
+
+test('validateTerm: blank nodes and quoted triples', () => {
+  const b = builder();
+  assert.equal(b.validateTerm('_:b0', 'blank'), true);
+  assert.equal(b.validateTerm('_:', 'blank'), false);
+  assert.equal(b.validateTerm('<< ex:a ex:p ex:b >>', 'triple'), true);
+  assert.equal(b.validateTerm('<< ex:a nope:p ex:b >>', 'triple'), false);
+});
+
+test('validateTerm: XSD lexical spaces', () => {
+  const b = builder();
+  assert.equal(b.validateTerm('-12', 'xsd:integer'), true);
+  assert.equal(b.validateTerm('1.5', 'xsd:integer'), false);
+  assert.equal(b.validateTerm('2024-02-29', 'xsd:date'), true);
+  assert.equal(b.validateTerm('2023-02-29', 'xsd:date'), false);
+  assert.equal(b.validateTerm('INF', 'xsd:double'), true);
+  assert.equal(b.validateTerm('abc', 'xsd:hexBinary'), false);
+  assert.equal(b.validateTerm('P1Y2M', 'xsd:duration'), true);
+  assert.equal(b.validateTerm('P', 'xsd:duration'), false);
+});
+
+test('build: expands CURIEs and records datatype and language', () => {
+  const b = builder();
+  const quad = b.build({
+    subject: 'ex:a', predicate: 'foaf:name', object: 'Alice',
+    graph: 'mntl:publ/x', language: 'en', literal: true
+  });
+  assert.equal(quad.s, `${EX}a`);
+  assert.equal(quad.p, `${FOAF}name`);
+  assert.equal(quad.o, 'Alice');
+  assert.equal(quad.g, 'mntl:publ/x');
+  assert.equal(quad.l, 'en');
+  assert.equal(quad.ot, 'literal');
+  assert.equal(quad.by, 'iii:alice');
+  assert.ok(!Number.isNaN(Date.parse(quad.at)));
+
+  const typed = b.build({ subject: 'ex:a', predicate: 'ex:age', object: '42', datatype: 'xsd:integer' });
+  assert.equal(typed.d, 'xsd:integer');
+  assert.equal(typed.g, '');
+});
+
+test('build: keeps CURIEs with expandCuries off', () => {
+  const b = builder({ expandCuries: false });
+  const quad = b.build({ subject: 'ex:a', predicate: 'foaf:knows', object: 'ex:b', literal: false });
+  assert.deepEqual([quad.s, quad.p, quad.o], ['ex:a', 'foaf:knows', 'ex:b']);
+});
+
+test('build: marks blank nodes and structures quoted triples', () => {
+  const b = builder();
+  const quad = b.build({
+    subject: '_:b1', predicate: 'ex:says', object: '<< ex:a foaf:knows ex:b >>', literal: false
+  });
+  assert.equal(quad.st, 'blank');
+  assert.equal(quad.ot, 'triple');
+  assert.deepEqual(quad.o, { s: `${EX}a`, p: `${FOAF}knows`, o: `${EX}b` });
+});
+
+test('build: an inner plain literal stays a literal', () => {
+  const b = builder();
+  const quad = b.build({
+    subject: '<< ex:a ex:p "ex:b" >>', predicate: 'ex:confidence', object: '0.9', datatype: 'xsd:decimal'
+  });
+  assert.deepEqual(quad.s, { s: `${EX}a`, p: `${EX}p`, o: 'ex:b', ot: 'literal' });
+  assert.equal(b.formatQuoted(quad.s), '<< ex:a ex:p "ex:b" >>');
+  assert.match(b.serialize('nquads', quad), /^<< <http:\/\/example.org\/a> <http:\/\/example.org\/p> "ex:b" >> /);
+});
+
+test('canonicalLiteral', () => {
+  assert.equal(canonicalLiteral('xsd:integer', '+042'), '42');
+  assert.equal(canonicalLiteral('xsd:decimal', '42.0'), '42');
+  assert.equal(canonicalLiteral('xsd:boolean', '1'), 'true');
+  assert.equal(canonicalLiteral('xsd:dateTime', '2024-01-01T10:00:00+02:00'), '2024-01-01T08:00:00Z');
+  assert.equal(canonicalLiteral('xsd:duration', 'PT60M'), 'PT1H');
+  assert.equal(canonicalLiteral('xsd:float', '1e40'), 'INF');
+  assert.equal(canonicalLiteral('xsd:double', '1e400'), 'INF');
+  assert.equal(canonicalLiteral('xsd:double', '-1e400'), '-INF');
+  assert.equal(canonicalLiteral('xsd:double', '+INF'), 'INF');
+  assert.equal(canonicalLiteral('xsd:float', '1.5e3'), '1.5E3');
+});
+
+test('parseTurtleDocument', () => {
+  const { triples, prefixes } = parseTurtleDocument(
+    '@prefix ex: <http://example.org/> .\nex:a ex:p "x"@en, ex:b ; a ex:C .');
+  assert.deepEqual(prefixes, { ex: EX });
+  assert.deepEqual(triples, [
+    { s: `${EX}a`, p: `${EX}p`, o: { type: 'literal', value: 'x', language: 'en' } },
+    { s: `${EX}a`, p: `${EX}p`, o: { type: 'iri', value: `${EX}b` } },
+    { s: `${EX}a`, p: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type', o: { type: 'iri', value: `${EX}C` } }
+  ]);
+});
+
+test('parseJsonLdDocument', () => {
+  const { triples, prefixes } = parseJsonLdDocument(JSON.stringify({
+    '@context': { ex: EX },
+    '@id': 'ex:a',
+    'ex:p': [{ '@value': 'x', '@language': 'en' }, { '@id': 'ex:b' }]
+  }));
+  assert.deepEqual(prefixes, { ex: EX });
+  assert.deepEqual(triples, [
+    { s: `${EX}a`, p: `${EX}p`, o: { type: 'literal', value: 'x', language: 'en' } },
+    { s: `${EX}a`, p: `${EX}p`, o: { type: 'iri', value: `${EX}b` } }
+  ]);
+});
+
+test('contractUri: longest matching namespace wins', () => {
+  const b = builder({ prefixes: { ex: EX, exv: `${EX}vocab/` } });
+  assert.equal(b.contractUri(`${EX}a`), 'ex:a');
+  assert.equal(b.contractUri(`${EX}vocab/term`), 'exv:term');
+  assert.equal(b.contractUri(`${FOAF}knows`), 'foaf:knows');
+  assert.equal(b.contractUri('http://nowhere.example/x'), 'http://nowhere.example/x');
+  assert.equal(b.expandQName('exv:term'), `${EX}vocab/term`);
+});
+
+test('serialize: N-Quads, TriG, Turtle and JSON-LD', () => {
+  const b = builder();
+  const quad = b.build({ subject: 'ex:a', predicate: 'ex:age', object: '42', datatype: 'xsd:integer', graph: 'ex:g' });
+  assert.equal(b.serialize('nquads', quad),
+    `<${EX}a> <${EX}age> "42"^^<${XSD}integer> <${EX}g> .\n`);
+  assert.equal(b.serialize('trig', quad),
+    `@prefix xsd: <${XSD}> .\n@prefix ex: <${EX}> .\n\nex:g {\n  ex:a ex:age "42"^^xsd:integer .\n}\n`);
+  assert.equal(b.serialize('turtle', quad),
+    `@prefix xsd: <${XSD}> .\n@prefix ex: <${EX}> .\n\nex:a ex:age "42"^^xsd:integer .\n`);
+  assert.deepEqual(JSON.parse(b.serialize('jsonld', quad)), {
+    '@context': { ex: EX, xsd: XSD },
+    '@id': 'ex:g',
+    '@graph': [{ '@id': 'ex:a', 'ex:age': { '@value': '42', '@type': 'xsd:integer' } }]
+  });
+  assert.throws(() => b.serialize('rdfxml', quad), /Unknown serialization format/);
+});
+
+test('serialize: a string literal that looks like an IRI stays a literal', () => {
+  const b = builder();
+  const quad = b.build({ subject: 'ex:a', predicate: 'ex:code', object: 'ISBN:123', literal: true });
+  assert.equal(b.serialize('nquads', quad), `<${EX}a> <${EX}code> "ISBN:123" .\n`);
+  assert.equal(b.serialize('turtle', quad), `@prefix ex: <${EX}> .\n\nex:a ex:code "ISBN:123" .\n`);
+});
+
+test('serialize: escapes literals and language tags', () => {
+  const b = builder();
+  const quad = b.build({ subject: 'ex:a', predicate: 'foaf:name', object: 'say "hi"\n', language: 'en-GB', literal: true });
+  assert.equal(b.serialize('nquads', quad),
+    `<${EX}a> <${FOAF}name> "say \\"hi\\"\\n"@en-GB .\n`);
+});
@@ -0,0 +1,176 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { QuadBuilder } from '../src/quad-builder.js';
+import { DataFactory, DatasetStore, SparqlUpdateStore, NQuadsStore } from '../src/quad-stores.js';
+
+const EX = 'http://example.org/';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const FOAF = 'http://xmlns.com/foaf/0.1/';
+
+const builder = new QuadBuilder({ prefixes: { ex: EX } });
+const name = builder.build({ subject: 'ex:a', predicate: 'foaf:name', object: 'Alice', language: 'en-GB', graph: 'ex:g', literal: true });
+const age = builder.build({ subject: 'ex:a', predicate: 'ex:age', object: '42', datatype: 'xsd:integer' });
+const homepage = builder.build({ subject: 'ex:a', predicate: 'ex:note', object: 'http://example.org/x', literal: true });
+const knows = builder.build({ subject: '_:b1', predicate: 'foaf:knows', object: 'ex:b', graph: 'ex:g', literal: false });
+
+/** A DatasetCore over an array. */
+function arrayDataset() {
+  const quads = [];
+  return {
+    quads,
+    add(quad) { quads.push(quad); return this; },
+    delete(quad) {
+      const i = quads.findIndex((q) => q.equals(quad));
+      if (i >= 0) quads.splice(i, 1);
+      return this;
+    }
+  };
+}
+
+/** A stub HTTP server recording requests, answering with `status`. */
+async function stubServer(t) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.statusCode = server.status;
+      res.end(server.status < 300 ? '' : 'store is locked');
+    });
+  });
+  server.requests = [];
+  server.status = 204;
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  server.url = `http://127.0.0.1:${server.address().port}`;
+  return server;
+}
+
+test('DatasetStore: adds RDF/JS terms', async () => {
+  const dataset = arrayDataset();
+  const store = new DatasetStore(dataset);
+  await store.addQuads([name, age, homepage, knows]);
+  const [n, a, h, k] = dataset.quads;
+
+  assert.equal(n.termType, 'Quad');
+  assert.equal(n.subject.termType, 'NamedNode');
+  assert.equal(n.subject.value, `${EX}a`);
+  assert.equal(n.object.termType, 'Literal');
+  assert.equal(n.object.language, 'en-GB');
+  assert.equal(n.graph.termType, 'NamedNode');
+  assert.equal(n.graph.value, `${EX}g`);
+
+  assert.equal(a.object.datatype.value, `${XSD}integer`);
+  assert.equal(a.graph.termType, 'DefaultGraph');
+
+  // an IRI-looking string literal stays a literal
+  assert.equal(h.object.termType, 'Literal');
+  assert.equal(h.object.datatype.value, `${XSD}string`);
+
+  assert.equal(k.subject.termType, 'BlankNode');
+  assert.equal(k.subject.value, 'b1');
+  assert.equal(k.object.termType, 'NamedNode');
+});
+
+test('DatasetStore: deletes the equal quad', async () => {
+  const dataset = arrayDataset();
+  const store = new DatasetStore(dataset);
+  await store.addQuad(name);
+  await store.addQuad(age);
+  await store.deleteQuad({ ...age, at: 'later' });
+  assert.equal(dataset.quads.length, 1);
+  assert.equal(dataset.quads[0].object.value, 'Alice');
+});
+
+test('DatasetStore: quoted triples become nested quads', async () => {
+  const dataset = arrayDataset();
+  const quad = builder.build({ subject: '<< ex:a foaf:knows ex:b >>', predicate: 'ex:confidence',
+    object: '0.9', datatype: 'xsd:decimal' });
+  await new DatasetStore(dataset).addQuad(quad);
+  const { subject } = dataset.quads[0];
+  assert.equal(subject.termType, 'Quad');
+  assert.equal(subject.predicate.value, `${FOAF}knows`);
+  assert.equal(subject.graph.termType, 'DefaultGraph');
+});
+
+test('DataFactory: terms compare by value', () => {
+  assert.ok(DataFactory.literal('x', 'en').equals(DataFactory.literal('x', 'en')));
+  assert.ok(!DataFactory.literal('x').equals(DataFactory.namedNode('x')));
+  assert.ok(!DataFactory.literal('1', DataFactory.namedNode(`${XSD}integer`))
+    .equals(DataFactory.literal('1')));
+});
+
+test('SparqlUpdateStore: INSERT DATA with GRAPH blocks', async (t) => {
+  const server = await stubServer(t);
+  const store = new SparqlUpdateStore(`${server.url}/update`, { headers: { Authorization: 'Bearer t' } });
+  await store.addQuads([name, age, homepage]);
+
+  const [request] = server.requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/update');
+  assert.equal(request.headers['content-type'], 'application/sparql-update');
+  assert.equal(request.headers.authorization, 'Bearer t');
+  assert.equal(request.body, [
+    'INSERT DATA {',
+    '  GRAPH <http://example.org/g> {',
+    `    <${EX}a> <${FOAF}name> "Alice"@en-GB .`,
+    '  }',
+    `  <${EX}a> <${EX}age> "42"^^<${XSD}integer> .`,
+    `  <${EX}a> <${EX}note> "http://example.org/x" .`,
+    '}',
+    ''
+  ].join('\n'));
+});
+
+test('SparqlUpdateStore: DELETE DATA', async (t) => {
+  const server = await stubServer(t);
+  const store = new SparqlUpdateStore(`${server.url}/update`);
+  await store.deleteQuad(age);
+  assert.equal(server.requests[0].body,
+    `DELETE DATA {\n  <${EX}a> <${EX}age> "42"^^<${XSD}integer> .\n}\n`);
+});
+
+test('SparqlUpdateStore: DELETE DATA rejects blank nodes', async (t) => {
+  const server = await stubServer(t);
+  const store = new SparqlUpdateStore(`${server.url}/update`);
+  await assert.rejects(store.deleteQuad(knows), /blank nodes/);
+  assert.equal(server.requests.length, 0);
+});
+
+test('SparqlUpdateStore: rejects on a non-2xx response', async (t) => {
+  const server = await stubServer(t);
+  server.status = 500;
+  const store = new SparqlUpdateStore(`${server.url}/update`);
+  await assert.rejects(store.addQuad(age), /SPARQL Update failed: 500 .*store is locked/);
+});
+
+test('NQuadsStore: POSTs and DELETEs N-Quads', async (t) => {
+  const server = await stubServer(t);
+  const store = new NQuadsStore(`${server.url}/quads`);
+  await store.addQuads([name, homepage]);
+  await store.deleteQuad(name);
+
+  const [post, del] = server.requests;
+  assert.equal(post.method, 'POST');
+  assert.equal(post.headers['content-type'], 'application/n-quads');
+  assert.equal(post.body,
+    `<${EX}a> <${FOAF}name> "Alice"@en-GB <${EX}g> .\n` +
+    `<${EX}a> <${EX}note> "http://example.org/x" .\n`);
+  assert.equal(del.method, 'DELETE');
+  assert.equal(del.body, `<${EX}a> <${FOAF}name> "Alice"@en-GB <${EX}g> .\n`);
+});
+
+test('NQuadsStore: rejects on a non-2xx response', async (t) => {
+  const server = await stubServer(t);
+  server.status = 503;
+  const store = new NQuadsStore(`${server.url}/quads`);
+  await assert.rejects(store.addQuad(age), /N-Quads POST failed: 503/);
+});
+
+test('NQuadsStore: deleteMethod null cannot delete', async (t) => {
+  const server = await stubServer(t);
+  const store = new NQuadsStore(`${server.url}/quads`, { deleteMethod: null });
+  await assert.rejects(store.deleteQuad(age), /cannot delete/);
+  assert.equal(server.requests.length, 0);
+});